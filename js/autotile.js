@@ -0,0 +1,291 @@
+// =============================
+// AUTO-TILING
+// 4-bit (Wang) / 8-bit (blob) neighbour bitmasks
+// =============================
+
+import { CONFIG } from "./config.js";
+
+/**
+ * 8-bit mask layout (clockwise from north):
+ *
+ *   NW(128) N(1)  NE(2)
+ *   W(64)   tile  E(4)
+ *   SW(32)  S(16) SE(8)
+ *
+ * A bit is set when that neighbour belongs to the same group.
+ */
+export const MASK_N = 1;
+export const MASK_NE = 2;
+export const MASK_E = 4;
+export const MASK_SE = 8;
+export const MASK_S = 16;
+export const MASK_SW = 32;
+export const MASK_W = 64;
+export const MASK_NW = 128;
+
+/**
+ * Neighbour offsets in mask bit order
+ */
+const MASK_OFFSETS = [
+  [0, -1, MASK_N],
+  [1, -1, MASK_NE],
+  [1, 0, MASK_E],
+  [1, 1, MASK_SE],
+  [0, 1, MASK_S],
+  [-1, 1, MASK_SW],
+  [-1, 0, MASK_W],
+  [-1, -1, MASK_NW],
+];
+
+/**
+ * Mask cache key generator
+ * @param {number} cx - Chunk X
+ * @param {number} cy - Chunk Y
+ * @returns {string} Key
+ */
+function getMaskKey(cx, cy) {
+  return `${cx},${cy}`;
+}
+
+/**
+ * Tile groups that get edge/corner variants.
+ * `bit` identifies the group in the per-tile membership byte.
+ */
+export const AUTOTILE_GROUPS = {
+  coast: {
+    bit: 1,
+    matches: (tile) => tile.biome === "water" || tile.overlay === "river",
+    edgeColor: "#a9d8f5",
+    edgeWidth: 0.15,
+  },
+  road: {
+    bit: 2,
+    matches: (tile) => tile.overlay === "road",
+    edgeColor: "#6e5a43",
+    edgeWidth: 0.15,
+  },
+  village: {
+    bit: 4,
+    matches: (tile) => tile.structure === "village",
+    edgeColor: "#7a4a22",
+    edgeWidth: 0.25,
+  },
+  dungeon: {
+    bit: 8,
+    matches: (tile) => tile.structure === "dungeon",
+    edgeColor: "#222222",
+    edgeWidth: 0.3,
+  },
+};
+
+/**
+ * Drop diagonal bits that aren't backed by both adjacent edges.
+ * A corner only matters for the blob set when both sides connect.
+ * @param {number} mask - Raw 8-bit mask
+ * @returns {number} Normalized 8-bit mask (one of 47 values)
+ */
+export function normalizeBlobMask(mask) {
+  let result = mask & (MASK_N | MASK_E | MASK_S | MASK_W);
+
+  if (mask & MASK_NE && mask & MASK_N && mask & MASK_E) result |= MASK_NE;
+  if (mask & MASK_SE && mask & MASK_S && mask & MASK_E) result |= MASK_SE;
+  if (mask & MASK_SW && mask & MASK_S && mask & MASK_W) result |= MASK_SW;
+  if (mask & MASK_NW && mask & MASK_N && mask & MASK_W) result |= MASK_NW;
+
+  return result;
+}
+
+/**
+ * 4-bit Wang index (N=1, E=2, S=4, W=8) from an 8-bit mask
+ * @param {number} mask - 8-bit mask
+ * @returns {number} Index 0-15
+ */
+export function getWangIndex(mask) {
+  return (
+    (mask & MASK_N ? 1 : 0) |
+    (mask & MASK_E ? 2 : 0) |
+    (mask & MASK_S ? 4 : 0) |
+    (mask & MASK_W ? 8 : 0)
+  );
+}
+
+/**
+ * Normalized blob mask -> tileset index 0-46 (ascending mask order)
+ */
+const BLOB_INDEX = new Int8Array(256).fill(-1);
+let blobCount = 0;
+
+for (let mask = 0; mask < 256; mask++) {
+  if (normalizeBlobMask(mask) === mask) {
+    BLOB_INDEX[mask] = blobCount++;
+  }
+}
+
+/**
+ * 47-tile blob index for any 8-bit mask
+ * @param {number} mask - 8-bit mask
+ * @returns {number} Index 0-46
+ */
+export function getBlobIndex(mask) {
+  return BLOB_INDEX[normalizeBlobMask(mask)];
+}
+
+/**
+ * Group membership bits for every tile of a chunk
+ * @param {ChunkData} chunk - Chunk storage
+ * @returns {Uint8Array} Bits indexed x * size + y
+ */
+export function computeMembership(chunk) {
+  const size = chunk.size;
+  const members = new Uint8Array(size * size);
+  const groups = Object.values(AUTOTILE_GROUPS);
+  let tile = null;
+
+  for (let x = 0; x < size; x++) {
+    for (let y = 0; y < size; y++) {
+      tile = chunk.getTile(x, y, tile);
+
+      let bits = 0;
+      for (const group of groups) {
+        if (group.matches(tile)) bits |= group.bit;
+      }
+
+      members[tile.index] = bits;
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Per-chunk autotile masks, cached until a neighbour loads or changes
+ */
+export class AutotileCache {
+  constructor() {
+    this.membership = new Map();
+    this.masks = new Map();
+  }
+
+  /**
+   * Get (or compute) membership bits for a loaded chunk
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @param {Function} getLoadedChunk - (cx, cy) => ChunkData|null
+   * @returns {Uint8Array|null} Membership bits (null if not loaded)
+   */
+  getMembership(cx, cy, getLoadedChunk) {
+    const key = getMaskKey(cx, cy);
+
+    if (!this.membership.has(key)) {
+      const chunk = getLoadedChunk(cx, cy);
+      if (!chunk) return null;
+
+      this.membership.set(key, computeMembership(chunk));
+    }
+
+    return this.membership.get(key);
+  }
+
+  /**
+   * Get (or compute) masks for a loaded chunk.
+   * Neighbours in unloaded chunks count as connected so borders don't
+   * flash edges; the masks are rebuilt once those chunks load.
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @param {Function} getLoadedChunk - (cx, cy) => ChunkData|null
+   * @returns {Object|null} { members: Uint8Array, masks: Object }
+   *   masks[group.bit] holds normalized 8-bit masks indexed x * size + y
+   */
+  getMasks(cx, cy, getLoadedChunk) {
+    const key = getMaskKey(cx, cy);
+    if (this.masks.has(key)) return this.masks.get(key);
+
+    const members = this.getMembership(cx, cy, getLoadedChunk);
+    if (!members) return null;
+
+    const size = CONFIG.CHUNK_SIZE;
+    const neighbors = {};
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        neighbors[`${dx},${dy}`] = this.getMembership(
+          cx + dx,
+          cy + dy,
+          getLoadedChunk,
+        );
+      }
+    }
+
+    // Membership bits of any tile within one tile of the chunk
+    const memberAt = (x, y) => {
+      const ox = x < 0 ? -1 : x >= size ? 1 : 0;
+      const oy = y < 0 ? -1 : y >= size ? 1 : 0;
+      const source = neighbors[`${ox},${oy}`];
+
+      if (!source) return 0xff;
+      return source[(x - ox * size) * size + (y - oy * size)];
+    };
+
+    const masks = {};
+    for (const group of Object.values(AUTOTILE_GROUPS)) {
+      masks[group.bit] = new Uint8Array(size * size);
+    }
+
+    for (let x = 0; x < size; x++) {
+      for (let y = 0; y < size; y++) {
+        const index = x * size + y;
+        const bits = members[index];
+        if (bits === 0) continue;
+
+        for (const group of Object.values(AUTOTILE_GROUPS)) {
+          if (!(bits & group.bit)) continue;
+
+          let mask = 0;
+          for (const [dx, dy, maskBit] of MASK_OFFSETS) {
+            if (memberAt(x + dx, y + dy) & group.bit) mask |= maskBit;
+          }
+
+          masks[group.bit][index] = normalizeBlobMask(mask);
+        }
+      }
+    }
+
+    const entry = { members, masks };
+    this.masks.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Chunk loaded or changed: drop its data and its neighbours' masks
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   */
+  invalidate(cx, cy) {
+    this.membership.delete(getMaskKey(cx, cy));
+
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        this.masks.delete(getMaskKey(cx + dx, cy + dy));
+      }
+    }
+  }
+
+  /**
+   * Chunk unloaded: drop its own data (neighbour masks stay valid)
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   */
+  remove(cx, cy) {
+    const key = getMaskKey(cx, cy);
+    this.membership.delete(key);
+    this.masks.delete(key);
+  }
+
+  /**
+   * Clear all cached masks
+   */
+  clear() {
+    this.membership.clear();
+    this.masks.clear();
+  }
+}
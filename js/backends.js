@@ -0,0 +1,245 @@
+// =============================
+// NOISE BACKENDS
+// Bundled 2D noise implementations (no CDN)
+// =============================
+
+/**
+ * Backend interface:
+ *   factory(random) => noise2D(x, y) => value (-1 to 1)
+ *
+ * `random` is any () => 0..1 function (e.g. a seeded RNG), so output is
+ * fully determined by the RNG stream and identical in browser and Node.
+ */
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+
+/**
+ * 2D gradient directions (x, y pairs)
+ */
+const GRAD2 = [
+  1, 1, -1, 1, 1, -1, -1, -1, 1, 0, -1, 0, 1, 0, -1, 0, 0, 1, 0, -1, 0, 1, 0,
+  -1,
+];
+
+/**
+ * Build a shuffled 512-entry permutation table
+ * @param {Function} random - RNG function (0-1)
+ * @returns {Uint8Array} Permutation table (256 entries repeated twice)
+ */
+export function buildPermutationTable(random) {
+  const perm = new Uint8Array(512);
+
+  for (let i = 0; i < 256; i++) {
+    perm[i] = i;
+  }
+
+  // Fisher-Yates shuffle driven by the supplied RNG
+  for (let i = 0; i < 255; i++) {
+    const r = i + Math.floor(random() * (256 - i));
+    const tmp = perm[i];
+    perm[i] = perm[r];
+    perm[r] = tmp;
+  }
+
+  for (let i = 256; i < 512; i++) {
+    perm[i] = perm[i - 256];
+  }
+
+  return perm;
+}
+
+/**
+ * Quintic fade curve (6t^5 - 15t^4 + 10t^3)
+ * @param {number} t - Value (0-1)
+ * @returns {number} Faded value
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+/**
+ * Linear interpolation
+ * @param {number} a - Start
+ * @param {number} b - End
+ * @param {number} t - Factor (0-1)
+ * @returns {number} Interpolated value
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Create 2D simplex noise
+ * @param {Function} random - RNG function (0-1)
+ * @returns {Function} Noise function (x, y) => -1..1
+ */
+export function createSimplexNoise2D(random = Math.random) {
+  const perm = buildPermutationTable(random);
+  const permGradX = new Float64Array(512);
+  const permGradY = new Float64Array(512);
+
+  for (let i = 0; i < 512; i++) {
+    permGradX[i] = GRAD2[(perm[i] % 12) * 2];
+    permGradY[i] = GRAD2[(perm[i] % 12) * 2 + 1];
+  }
+
+  return function noise2D(x, y) {
+    let n0 = 0;
+    let n1 = 0;
+    let n2 = 0;
+
+    // Skew input space to find the simplex cell
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * G2;
+
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+
+    // Upper or lower triangle of the cell
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + G2;
+    const y1 = y0 - j1 + G2;
+    const x2 = x0 - 1 + 2 * G2;
+    const y2 = y0 - 1 + 2 * G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    let t0 = 0.5 - x0 * x0 - y0 * y0;
+    if (t0 >= 0) {
+      const gi0 = ii + perm[jj];
+      t0 *= t0;
+      n0 = t0 * t0 * (permGradX[gi0] * x0 + permGradY[gi0] * y0);
+    }
+
+    let t1 = 0.5 - x1 * x1 - y1 * y1;
+    if (t1 >= 0) {
+      const gi1 = ii + i1 + perm[jj + j1];
+      t1 *= t1;
+      n1 = t1 * t1 * (permGradX[gi1] * x1 + permGradY[gi1] * y1);
+    }
+
+    let t2 = 0.5 - x2 * x2 - y2 * y2;
+    if (t2 >= 0) {
+      const gi2 = ii + 1 + perm[jj + 1];
+      t2 *= t2;
+      n2 = t2 * t2 * (permGradX[gi2] * x2 + permGradY[gi2] * y2);
+    }
+
+    // Scale to roughly -1..1
+    return 70 * (n0 + n1 + n2);
+  };
+}
+
+/**
+ * Create 2D (improved) Perlin noise
+ * @param {Function} random - RNG function (0-1)
+ * @returns {Function} Noise function (x, y) => -1..1
+ */
+export function createPerlinNoise2D(random = Math.random) {
+  const perm = buildPermutationTable(random);
+
+  // Dot product with one of 4 diagonal lattice gradients
+  const grad = (hash, x, y) => {
+    const h = hash & 3;
+    return ((h & 1) === 0 ? x : -x) + ((h & 2) === 0 ? y : -y);
+  };
+
+  return function noise2D(x, y) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    const X = xi & 255;
+    const Y = yi & 255;
+
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const aa = perm[perm[X] + Y];
+    const ab = perm[perm[X] + Y + 1];
+    const ba = perm[perm[X + 1] + Y];
+    const bb = perm[perm[X + 1] + Y + 1];
+
+    const value = lerp(
+      lerp(grad(aa, xf, yf), grad(ba, xf - 1, yf), u),
+      lerp(grad(ab, xf, yf - 1), grad(bb, xf - 1, yf - 1), u),
+      v,
+    );
+
+    return Math.max(-1, Math.min(1, value));
+  };
+}
+
+/**
+ * Create 2D value noise (interpolated random lattice values)
+ * @param {Function} random - RNG function (0-1)
+ * @returns {Function} Noise function (x, y) => -1..1
+ */
+export function createValueNoise2D(random = Math.random) {
+  const perm = buildPermutationTable(random);
+
+  const lattice = (X, Y) => (perm[perm[X] + Y] / 255) * 2 - 1;
+
+  return function noise2D(x, y) {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const X = xi & 255;
+    const Y = yi & 255;
+
+    const u = fade(x - xi);
+    const v = fade(y - yi);
+
+    return lerp(
+      lerp(lattice(X, Y), lattice(X + 1, Y), u),
+      lerp(lattice(X, Y + 1), lattice(X + 1, Y + 1), u),
+      v,
+    );
+  };
+}
+
+/**
+ * Registered noise backends by name
+ */
+export const NOISE_BACKENDS = {
+  simplex: createSimplexNoise2D,
+  perlin: createPerlinNoise2D,
+  value: createValueNoise2D,
+};
+
+/**
+ * Register a custom noise backend
+ * @param {string} name - Backend name
+ * @param {Function} factory - (random) => (x, y) => -1..1
+ */
+export function registerNoiseBackend(name, factory) {
+  NOISE_BACKENDS[name] = factory;
+}
+
+/**
+ * Get noise backend factory by name
+ * @param {string} name - Backend name
+ * @returns {Function} Backend factory (falls back to simplex)
+ */
+export function getNoiseBackend(name) {
+  if (!NOISE_BACKENDS[name]) {
+    console.warn(`Unknown noise backend "${name}", using simplex`);
+    return NOISE_BACKENDS.simplex;
+  }
+
+  return NOISE_BACKENDS[name];
+}
+
+/**
+ * Drop-in replacement for simplex-noise's createNoise2D
+ * @param {Function} random - RNG function (0-1)
+ * @returns {Function} Noise function (x, y) => -1..1
+ */
+export function createNoise2D(random = Math.random) {
+  return createSimplexNoise2D(random);
+}
@@ -1,52 +1,310 @@
 // =============================
 // BIOME SYSTEM
+// Data-driven biome registry
 // =============================
 
 import { CONFIG } from "./config.js";
 
 /**
- * Determine biome based on elevation, temperature, and humidity
- * @param {number} elevation - Elevation value (0-1)
- * @param {number} temperature - Temperature value (0-1)
- * @param {number} humidity - Humidity value (0-1)
- * @returns {string} Biome type
+ * Biome definition format:
+ * {
+ *   name: "forest",
+ *   color: "#2ecc71",
+ *   description: "Forest",
+ *   priority: 30,                  // Higher is checked first
+ *   climate: [{                    // Whittaker-style zones, null = never classified
+ *     elevation: [min, max],       // min inclusive, max exclusive (max 1 = inclusive)
+ *     temperature: [min, max],     // Omitted axis = whole 0-1 range
+ *     humidity: [min, max],
+ *   }],
+ *   walkable: true,
+ *   movementCost: 1.4,             // Ground layer cost (see layers.js)
+ *   structures: ["village", "dungeon"],
+ *   scatter: [{ object: "tree", min: 0.55, max: 1 }], // Density ranges, first match wins
+ *   aliases: ["grassland"],
+ *   transitions: [["forest", "grass"]], // Replaces the border between pairs
+ * }
  */
-export function classifyBiome(elevation, temperature, humidity) {
-  // Water (lowest elevation)
-  if (elevation < CONFIG.WATER_THRESHOLD) {
-    return "water";
+
+/**
+ * Biome used when no climate zone matches
+ */
+export const DEFAULT_BIOME = "grass";
+
+/**
+ * Registered biomes by name
+ */
+export const BIOMES = {};
+
+/**
+ * Alias name -> biome name
+ */
+const BIOME_ALIASES = {};
+
+/**
+ * Sorted biome pair key -> transition biome name
+ */
+const TRANSITIONS = {};
+
+/**
+ * Biomes with a climate, sorted by priority (rebuilt on register)
+ */
+let classificationOrder = [];
+
+/**
+ * Blended color strings by "biome|secondary|step"
+ */
+const blendedColorCache = new Map();
+
+/**
+ * Register (or replace) a biome
+ * @param {Object} definition - Biome definition (see format above)
+ * @returns {Object} Normalized biome definition
+ */
+export function registerBiome(definition) {
+  if (!definition || !definition.name) {
+    throw new Error("registerBiome: biome definition needs a name");
+  }
+
+  const climate = definition.climate ? [].concat(definition.climate) : null;
+
+  const biome = {
+    description: definition.name,
+    color: "#ff00ff",
+    priority: 0,
+    walkable: true,
+    movementCost: 1,
+    structures: [],
+    scatter: [],
+    aliases: [],
+    transitions: [],
+    ...definition,
+    climate,
+  };
+
+  biome.rgb = parseHexColor(biome.color);
+  BIOMES[biome.name] = biome;
+
+  for (const alias of biome.aliases) {
+    BIOME_ALIASES[alias] = biome.name;
+  }
+
+  for (const [a, b] of biome.transitions) {
+    TRANSITIONS[getBiomePairKey(a, b)] = biome.name;
+  }
+
+  blendedColorCache.clear();
+
+  // Registration order breaks priority ties
+  classificationOrder = Object.values(BIOMES)
+    .filter((b) => b.climate)
+    .sort((a, b) => b.priority - a.priority);
+
+  return biome;
+}
+
+/**
+ * Get biome definition by name (aliases resolved)
+ * @param {string} name - Biome name or alias
+ * @returns {Object|null} Biome definition
+ */
+export function getBiome(name) {
+  return BIOMES[name] || BIOMES[BIOME_ALIASES[name]] || null;
+}
+
+/**
+ * Order-independent key for a biome pair
+ * @param {string} a - Biome name
+ * @param {string} b - Biome name
+ * @returns {string} Key
+ */
+function getBiomePairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Parse "#rrggbb" into components
+ * @param {string} hex - Hex color
+ * @returns {number[]} [r, g, b]
+ */
+function parseHexColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Check a value against a [min, max) range
+ * @param {number} value - Value (0-1)
+ * @param {number[]} range - [min, max], undefined = any
+ * @returns {boolean} In range
+ */
+function inRange(value, range) {
+  if (!range) return true;
+  return value >= range[0] && (value < range[1] || range[1] >= 1);
+}
+
+/**
+ * Check whether a climate sample falls in one of a biome's zones
+ * @param {Object} biome - Biome definition
+ * @param {number} elevation - Elevation (0-1)
+ * @param {number} temperature - Temperature (0-1)
+ * @param {number} humidity - Humidity (0-1)
+ * @returns {boolean} Matches
+ */
+export function matchesClimate(biome, elevation, temperature, humidity) {
+  if (!biome.climate) return false;
+
+  return biome.climate.some(
+    (zone) =>
+      inRange(elevation, zone.elevation) &&
+      inRange(temperature, zone.temperature) &&
+      inRange(humidity, zone.humidity),
+  );
+}
+
+/**
+ * Soft membership of a value in a range: 1 well inside, 0.5 on the edge,
+ * 0 beyond half the blend width. Open ends (0 / 1) never fade.
+ * @param {number} value - Value (0-1)
+ * @param {number[]} range - [min, max], undefined = any
+ * @param {number} width - Blend width
+ * @returns {number} Membership (0-1)
+ */
+function softRange(value, range, width) {
+  if (!range) return 1;
+
+  const fromMin = range[0] <= 0 ? Infinity : value - range[0];
+  const toMax = range[1] >= 1 ? Infinity : range[1] - value;
+  const distance = Math.min(fromMin, toMax);
+
+  return Math.min(1, Math.max(0, 0.5 + distance / width));
+}
+
+/**
+ * Soft version of matchesClimate (best zone wins)
+ * @param {Object} biome - Biome definition
+ * @param {number} elevation - Elevation (0-1)
+ * @param {number} temperature - Temperature (0-1)
+ * @param {number} humidity - Humidity (0-1)
+ * @returns {number} Membership (0-1)
+ */
+export function getClimateMembership(biome, elevation, temperature, humidity) {
+  if (!biome.climate) return 0;
+
+  const width = CONFIG.BIOME_BLEND_WIDTH;
+  let best = 0;
+
+  for (const zone of biome.climate) {
+    const membership =
+      softRange(elevation, zone.elevation, width) *
+      softRange(temperature, zone.temperature, width) *
+      softRange(humidity, zone.humidity, width);
+
+    best = Math.max(best, membership);
   }
 
-  // Sand (slightly higher than water)
-  if (elevation < CONFIG.SAND_THRESHOLD) {
-    return "sand";
+  return best;
+}
+
+/**
+ * Per-biome weights for a climate sample.
+ * Walks the classification order like classifyBiome, but each biome only
+ * claims its soft membership of what higher-priority biomes left over, so
+ * weights sum to 1 and shift smoothly across borders.
+ * @param {number} elevation - Elevation (0-1)
+ * @param {number} temperature - Temperature (0-1)
+ * @param {number} humidity - Humidity (0-1)
+ * @returns {Object[]} [{ biome, weight }] sorted by weight (descending)
+ */
+export function getBiomeWeights(elevation, temperature, humidity) {
+  const weights = [];
+  let remaining = 1;
+
+  for (const biome of classificationOrder) {
+    const membership = getClimateMembership(
+      biome,
+      elevation,
+      temperature,
+      humidity,
+    );
+    if (membership === 0) continue;
+
+    const weight = remaining * membership;
+    weights.push({ biome: biome.name, weight });
+    remaining -= weight;
+
+    if (remaining < 1e-3) break;
   }
 
-  // Mountain tiers
-  if (elevation > CONFIG.MOUNTAIN_THRESHOLD) {
-    if (elevation > CONFIG.SNOW_THRESHOLD) {
-      return "snow";
+  if (remaining >= 1e-3) {
+    const fallback = weights.find((w) => w.biome === DEFAULT_BIOME);
+    if (fallback) {
+      fallback.weight += remaining;
+    } else {
+      weights.push({ biome: DEFAULT_BIOME, weight: remaining });
     }
-    return "mountain";
   }
 
-  // Desert (hot and dry)
-  if (temperature > CONFIG.DESERT_TEMP && humidity < CONFIG.DESERT_HUMIDITY) {
-    return "desert";
+  return weights.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Get the transition biome registered between two biomes
+ * @param {string} a - Biome name
+ * @param {string} b - Biome name
+ * @returns {string|null} Transition biome name
+ */
+export function getTransitionBiome(a, b) {
+  return TRANSITIONS[getBiomePairKey(a, b)] || null;
+}
+
+/**
+ * Classify a tile and describe how it blends with its strongest neighbour
+ * biome. The hard classification stays the gameplay biome; the secondary
+ * biome and blend factor only drive colors, scatter and transitions.
+ * @param {number} elevation - Elevation (0-1)
+ * @param {number} temperature - Temperature (0-1)
+ * @param {number} humidity - Humidity (0-1)
+ * @returns {Object} { biome, secondary, blend } (blend 0-0.5)
+ */
+export function resolveBiomeBlend(elevation, temperature, humidity) {
+  const biome = classifyBiome(elevation, temperature, humidity);
+  const weights = getBiomeWeights(elevation, temperature, humidity);
+
+  const own = weights.find((w) => w.biome === biome);
+  const other = weights.find((w) => w.biome !== biome);
+
+  if (!other || other.weight === 0) {
+    return { biome, secondary: null, blend: 0 };
   }
 
-  // Snow (cold)
-  if (temperature < CONFIG.SNOW_TEMP) {
-    return "snow";
+  const ownWeight = own ? own.weight : 0;
+  const blend = Math.min(0.5, other.weight / (ownWeight + other.weight));
+
+  // Close to the border: swap in a registered transition biome
+  const transition = getTransitionBiome(biome, other.biome);
+  if (transition && blend >= CONFIG.BIOME_TRANSITION_BLEND) {
+    return { biome: transition, secondary: other.biome, blend };
   }
 
-  // Forest (humid)
-  if (humidity > CONFIG.FOREST_HUMIDITY) {
-    return "forest";
+  return { biome, secondary: other.biome, blend };
+}
+
+/**
+ * Determine biome based on elevation, temperature, and humidity
+ * @param {number} elevation - Elevation value (0-1)
+ * @param {number} temperature - Temperature value (0-1)
+ * @param {number} humidity - Humidity value (0-1)
+ * @returns {string} Biome type
+ */
+export function classifyBiome(elevation, temperature, humidity) {
+  for (const biome of classificationOrder) {
+    if (matchesClimate(biome, elevation, temperature, humidity)) {
+      return biome.name;
+    }
   }
 
-  // Grassland (default)
-  return "grass";
+  return DEFAULT_BIOME;
 }
 
 /**
@@ -55,21 +313,39 @@ export function classifyBiome(elevation, temperature, humidity) {
  * @returns {string} Hex color code
  */
 export function getBiomeColor(biome) {
-  const colors = {
-    water: "#3498db",
-    sand: "#f1c40f",
-    forest: "#2ecc71",
-    grassland: "#27ae60",
-    grass: "#27ae60",
-    mountain: "#95a5a6",
-    snow: "#ecf0f1",
-    desert: "#d4a574",
-    village: "#c97c3a",
-    dungeon: "#555555",
-    road: "#8b7355",
-  };
+  const def = getBiome(biome) || getBiome(DEFAULT_BIOME);
+  return def.color;
+}
+
+/**
+ * Get color for a biome blended towards a secondary biome
+ * @param {string} biome - Biome type
+ * @param {string|null} secondary - Secondary biome type
+ * @param {number} blend - Secondary share (0-1)
+ * @returns {string} CSS color
+ */
+export function getBlendedBiomeColor(biome, secondary, blend) {
+  const steps = CONFIG.BIOME_COLOR_STEPS;
+  const step = Math.round(blend * steps);
+
+  if (!secondary || step === 0) {
+    return getBiomeColor(biome);
+  }
+
+  const key = `${biome}|${secondary}|${step}`;
+  let color = blendedColorCache.get(key);
+
+  if (!color) {
+    const a = (getBiome(biome) || getBiome(DEFAULT_BIOME)).rgb;
+    const b = (getBiome(secondary) || getBiome(DEFAULT_BIOME)).rgb;
+    const t = step / steps;
+
+    const mix = (i) => Math.round(a[i] + (b[i] - a[i]) * t);
+    color = `rgb(${mix(0)}, ${mix(1)}, ${mix(2)})`;
+    blendedColorCache.set(key, color);
+  }
 
-  return colors[biome] || colors.grass;
+  return color;
 }
 
 /**
@@ -79,17 +355,28 @@ export function getBiomeColor(biome) {
  * @returns {boolean} Is valid for placement
  */
 export function isBiomeValidForStructure(biome, structureType) {
-  if (structureType === "village") {
-    // Villages only in grass/forest
-    return biome === "grass" || biome === "forest" || biome === "grassland";
-  }
+  const def = getBiome(biome);
+  return def !== null && def.structures.includes(structureType);
+}
 
-  if (structureType === "dungeon") {
-    // Dungeons anywhere except water
-    return biome !== "water";
-  }
+/**
+ * Check if biome can be walked on
+ * @param {string} biome - Biome type
+ * @returns {boolean} Is walkable
+ */
+export function isBiomeWalkable(biome) {
+  const def = getBiome(biome);
+  return def === null || def.walkable;
+}
 
-  return false;
+/**
+ * Get scatter rules for biome
+ * @param {string} biome - Biome type
+ * @returns {Object[]} Rules [{ object, min, max }]
+ */
+export function getBiomeScatterRules(biome) {
+  const def = getBiome(biome);
+  return def ? def.scatter : [];
 }
 
 /**
@@ -98,18 +385,121 @@ export function isBiomeValidForStructure(biome, structureType) {
  * @returns {string} Description
  */
 export function getBiomeDescription(biome) {
-  const descriptions = {
-    water: "Water",
-    sand: "Beach/Sand",
-    forest: "Forest",
-    grass: "Grassland",
-    mountain: "Mountain",
-    snow: "Snow Peak",
-    desert: "Desert",
-    village: "Village",
-    dungeon: "Dungeon",
-    road: "Road",
-  };
-
-  return descriptions[biome] || "Unknown";
+  const def = getBiome(biome);
+  return def ? def.description : "Unknown";
 }
+
+// =============================
+// DEFAULT BIOMES
+// =============================
+
+const LAND = [CONFIG.SAND_THRESHOLD, CONFIG.MOUNTAIN_THRESHOLD];
+
+registerBiome({
+  name: "water",
+  color: "#3498db",
+  description: "Water",
+  priority: 100,
+  climate: { elevation: [0, CONFIG.WATER_THRESHOLD] },
+  walkable: false,
+});
+
+registerBiome({
+  name: "sand",
+  color: "#f1c40f",
+  description: "Beach/Sand",
+  movementCost: 1.2,
+  priority: 90,
+  climate: { elevation: [CONFIG.WATER_THRESHOLD, CONFIG.SAND_THRESHOLD] },
+  structures: ["dungeon"],
+});
+
+registerBiome({
+  name: "snow",
+  color: "#ecf0f1",
+  description: "Snow Peak",
+  movementCost: 2,
+  priority: 85,
+  climate: [
+    { elevation: [CONFIG.SNOW_THRESHOLD, 1] },
+    { elevation: LAND, temperature: [0, CONFIG.SNOW_TEMP] },
+  ],
+  structures: ["dungeon"],
+});
+
+registerBiome({
+  name: "mountain",
+  color: "#95a5a6",
+  description: "Mountain",
+  movementCost: 2.5,
+  priority: 80,
+  climate: { elevation: [CONFIG.MOUNTAIN_THRESHOLD, CONFIG.SNOW_THRESHOLD] },
+  structures: ["dungeon"],
+  scatter: [{ object: "rock", min: CONFIG.MOUNTAIN_ROCK_DENSITY, max: 1 }],
+});
+
+registerBiome({
+  name: "desert",
+  color: "#d4a574",
+  description: "Desert",
+  movementCost: 1.3,
+  priority: 50,
+  climate: {
+    elevation: LAND,
+    temperature: [CONFIG.DESERT_TEMP, 1],
+    humidity: [0, CONFIG.DESERT_HUMIDITY],
+  },
+  structures: ["dungeon"],
+  scatter: [{ object: "rock", min: 0.7, max: 1 }],
+});
+
+registerBiome({
+  name: "forest",
+  color: "#2ecc71",
+  description: "Forest",
+  priority: 30,
+  climate: { elevation: LAND, humidity: [CONFIG.FOREST_HUMIDITY, 1] },
+  structures: ["village", "dungeon"],
+  scatter: [{ object: "tree", min: CONFIG.FOREST_TREE_DENSITY, max: 1 }],
+});
+
+registerBiome({
+  name: "grass",
+  color: "#27ae60",
+  description: "Grassland",
+  priority: 0,
+  climate: { elevation: LAND },
+  structures: ["village", "dungeon"],
+  scatter: [
+    { object: "tree", min: CONFIG.GRASS_TREE_DENSITY, max: 1 },
+    {
+      object: "rock",
+      min: CONFIG.GRASS_ROCK_DENSITY_MIN,
+      max: CONFIG.GRASS_ROCK_DENSITY_MAX,
+    },
+  ],
+  aliases: ["grassland"],
+});
+
+// Transition biomes (only appear on borders between other biomes)
+
+registerBiome({
+  name: "forest_edge",
+  color: "#29bd68",
+  description: "Forest Edge",
+  movementCost: 1.2,
+  transitions: [["forest", "grass"]],
+  structures: ["village", "dungeon"],
+  scatter: [{ object: "tree", min: 0.65, max: 1 }],
+});
+
+// Marsh sits between water and forest: the sand band always separates the
+// two climate zones, so it replaces the beach in front of forest instead
+registerBiome({
+  name: "marsh",
+  color: "#6b8f5a",
+  description: "Marsh",
+  movementCost: 2,
+  transitions: [["sand", "forest"]],
+  scatter: [{ object: "tree", min: 0.85, max: 1 }],
+});
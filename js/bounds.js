@@ -0,0 +1,113 @@
+// =============================
+// BOUNDING BOX SYSTEM
+// Axis-aligned boxes in world tile coordinates
+// =============================
+
+import { CONFIG } from "./config.js";
+
+/**
+ * Box format: { minX, minY, maxX, maxY } (inclusive tile coordinates)
+ */
+
+/**
+ * Create a box from a top-left corner and size
+ * @param {number} x - Left tile X
+ * @param {number} y - Top tile Y
+ * @param {number} width - Width in tiles
+ * @param {number} height - Height in tiles
+ * @returns {Object} Box
+ */
+export function createBoundingBox(x, y, width, height) {
+  return {
+    minX: x,
+    minY: y,
+    maxX: x + width - 1,
+    maxY: y + height - 1,
+  };
+}
+
+/**
+ * World tile box covered by a chunk
+ * @param {number} cx - Chunk X
+ * @param {number} cy - Chunk Y
+ * @returns {Object} Box
+ */
+export function getChunkBounds(cx, cy) {
+  const size = CONFIG.CHUNK_SIZE;
+  return createBoundingBox(cx * size, cy * size, size, size);
+}
+
+/**
+ * Move a box
+ * @param {Object} box - Box
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {Object} New box
+ */
+export function translateBox(box, dx, dy) {
+  return {
+    minX: box.minX + dx,
+    minY: box.minY + dy,
+    maxX: box.maxX + dx,
+    maxY: box.maxY + dy,
+  };
+}
+
+/**
+ * Grow a box on every side
+ * @param {Object} box - Box
+ * @param {number} amount - Tiles to add per side
+ * @returns {Object} New box
+ */
+export function expandBox(box, amount) {
+  return {
+    minX: box.minX - amount,
+    minY: box.minY - amount,
+    maxX: box.maxX + amount,
+    maxY: box.maxY + amount,
+  };
+}
+
+/**
+ * Check whether two boxes overlap
+ * @param {Object} a - Box
+ * @param {Object} b - Box
+ * @param {number} gap - Extra tiles that must separate them
+ * @returns {boolean} Overlap
+ */
+export function boxesIntersect(a, b, gap = 0) {
+  return (
+    a.minX - gap <= b.maxX &&
+    a.maxX + gap >= b.minX &&
+    a.minY - gap <= b.maxY &&
+    a.maxY + gap >= b.minY
+  );
+}
+
+/**
+ * Overlapping region of two boxes
+ * @param {Object} a - Box
+ * @param {Object} b - Box
+ * @returns {Object|null} Box (null if they don't overlap)
+ */
+export function intersectBoxes(a, b) {
+  if (!boxesIntersect(a, b)) return null;
+
+  return {
+    minX: Math.max(a.minX, b.minX),
+    minY: Math.max(a.minY, b.minY),
+    maxX: Math.min(a.maxX, b.maxX),
+    maxY: Math.min(a.maxY, b.maxY),
+  };
+}
+
+/**
+ * Check whether a tile lies inside a box
+ * @param {Object} box - Box
+ * @param {number} x - Tile X
+ * @param {number} y - Tile Y
+ * @returns {boolean} Inside
+ */
+export function boxContains(box, x, y) {
+  return x >= box.minX && x <= box.maxX && y >= box.minY && y <= box.maxY;
+}
@@ -0,0 +1,36 @@
+// =============================
+// BOUNDED CACHES
+// Memoization maps for region-level generation caches
+// =============================
+
+/**
+ * Map that drops its oldest entries once it holds more than `limit`.
+ * Entries are evicted in insertion order (FIFO), which is enough for the
+ * generation caches: their values are pure functions of seed + position,
+ * so a dropped entry is simply recomputed on the next lookup.
+ */
+export class BoundedMap extends Map {
+  /**
+   * @param {number} limit - Maximum number of entries kept
+   */
+  constructor(limit) {
+    super();
+    this.limit = limit;
+  }
+
+  /**
+   * Add or replace an entry, then drop the oldest ones over the limit
+   * @param {*} key - Key
+   * @param {*} value - Value
+   * @returns {BoundedMap} This map
+   */
+  set(key, value) {
+    super.set(key, value);
+
+    while (this.size > this.limit) {
+      this.delete(this.keys().next().value);
+    }
+
+    return this;
+  }
+}
@@ -9,8 +9,12 @@ import { CONFIG } from "./config.js";
  */
 export class Camera {
   constructor() {
+    // Top-left corner in unzoomed world pixels
     this.x = 0;
     this.y = 0;
+
+    // Zoom factor (1 = CONFIG.TILE_SIZE pixels per tile)
+    this.zoom = 1;
   }
 
   /**
@@ -41,6 +45,59 @@ export class Camera {
     return { x: this.x, y: this.y };
   }
 
+  /**
+   * Set zoom, keeping the world point under the pivot fixed on screen
+   * @param {number} zoom - New zoom factor
+   * @param {number} pivotX - Pivot screen X
+   * @param {number} pivotY - Pivot screen Y
+   */
+  setZoom(zoom, pivotX = 0, pivotY = 0) {
+    const clamped = Math.min(CONFIG.MAX_ZOOM, Math.max(CONFIG.MIN_ZOOM, zoom));
+
+    // World pixel under the pivot before zooming
+    const worldX = this.x + pivotX / this.zoom;
+    const worldY = this.y + pivotY / this.zoom;
+
+    this.zoom = clamped;
+    this.x = worldX - pivotX / this.zoom;
+    this.y = worldY - pivotY / this.zoom;
+  }
+
+  /**
+   * Get zoom factor
+   * @returns {number} Zoom
+   */
+  getZoom() {
+    return this.zoom;
+  }
+
+  /**
+   * Get the tile coordinate at the center of the viewport
+   * @param {number} tileSize - Tile size in pixels
+   * @param {number} canvasWidth - Canvas width
+   * @param {number} canvasHeight - Canvas height
+   * @returns {Object} { x, y } in tiles (fractional)
+   */
+  getCenterTile(tileSize, canvasWidth, canvasHeight) {
+    return {
+      x: (this.x + canvasWidth / 2 / this.zoom) / tileSize,
+      y: (this.y + canvasHeight / 2 / this.zoom) / tileSize,
+    };
+  }
+
+  /**
+   * Move camera so a tile coordinate is at the center of the viewport
+   * @param {number} tileX - Tile X (fractional allowed)
+   * @param {number} tileY - Tile Y (fractional allowed)
+   * @param {number} tileSize - Tile size in pixels
+   * @param {number} canvasWidth - Canvas width
+   * @param {number} canvasHeight - Canvas height
+   */
+  centerOnTile(tileX, tileY, tileSize, canvasWidth, canvasHeight) {
+    this.x = tileX * tileSize - canvasWidth / 2 / this.zoom;
+    this.y = tileY * tileSize - canvasHeight / 2 / this.zoom;
+  }
+
   /**
    * Get visible chunk range
    * @param {number} tileSize - Tile size in pixels
@@ -51,12 +108,14 @@ export class Camera {
    */
   getVisibleChunkRange(tileSize, chunkSize, canvasWidth, canvasHeight) {
     const pixelsPerChunk = tileSize * chunkSize;
+    const viewWidth = canvasWidth / this.zoom;
+    const viewHeight = canvasHeight / this.zoom;
 
     const minChunkX = Math.floor(this.x / pixelsPerChunk);
-    const maxChunkX = Math.floor((this.x + canvasWidth) / pixelsPerChunk);
+    const maxChunkX = Math.floor((this.x + viewWidth) / pixelsPerChunk);
 
     const minChunkY = Math.floor(this.y / pixelsPerChunk);
-    const maxChunkY = Math.floor((this.y + canvasHeight) / pixelsPerChunk);
+    const maxChunkY = Math.floor((this.y + viewHeight) / pixelsPerChunk);
 
     return { minChunkX, maxChunkX, minChunkY, maxChunkY };
   }
@@ -70,10 +129,10 @@ export class Camera {
    */
   getVisibleTileRange(tileSize, canvasWidth, canvasHeight) {
     const minTileX = Math.floor(this.x / tileSize);
-    const maxTileX = Math.floor((this.x + canvasWidth) / tileSize);
+    const maxTileX = Math.floor((this.x + canvasWidth / this.zoom) / tileSize);
 
     const minTileY = Math.floor(this.y / tileSize);
-    const maxTileY = Math.floor((this.y + canvasHeight) / tileSize);
+    const maxTileY = Math.floor((this.y + canvasHeight / this.zoom) / tileSize);
 
     return {
       minTileX,
@@ -90,7 +149,7 @@ export class Camera {
    * @returns {number} Screen X
    */
   worldToScreenX(worldX, tileSize) {
-    return worldX * tileSize - this.x;
+    return (worldX * tileSize - this.x) * this.zoom;
   }
 
   /**
@@ -100,7 +159,7 @@ export class Camera {
    * @returns {number} Screen Y
    */
   worldToScreenY(worldY, tileSize) {
-    return worldY * tileSize - this.y;
+    return (worldY * tileSize - this.y) * this.zoom;
   }
 
   /**
@@ -110,7 +169,7 @@ export class Camera {
    * @returns {number} World X
    */
   screenToWorldX(screenX, tileSize) {
-    return (screenX + this.x) / tileSize;
+    return (screenX / this.zoom + this.x) / tileSize;
   }
 
   /**
@@ -120,7 +179,7 @@ export class Camera {
    * @returns {number} World Y
    */
   screenToWorldY(screenY, tileSize) {
-    return (screenY + this.y) / tileSize;
+    return (screenY / this.zoom + this.y) / tileSize;
   }
 }
 
@@ -156,7 +215,15 @@ export class CameraInput {
    * Update camera based on input
    */
   update() {
-    const speed = CONFIG.CAMERA_SPEED;
+    // Keep on-screen speed constant regardless of zoom
+    const speed = CONFIG.CAMERA_SPEED / this.camera.getZoom();
+
+    if (this.keysPressed["+"] || this.keysPressed["="]) {
+      this.zoomBy(1 + CONFIG.ZOOM_STEP);
+    }
+    if (this.keysPressed["-"] || this.keysPressed["_"]) {
+      this.zoomBy(1 / (1 + CONFIG.ZOOM_STEP));
+    }
 
     if (
       this.keysPressed["arrowup"] ||
@@ -188,6 +255,18 @@ export class CameraInput {
     }
   }
 
+  /**
+   * Zoom around the center of the canvas
+   * @param {number} factor - Zoom multiplier
+   */
+  zoomBy(factor) {
+    this.camera.setZoom(
+      this.camera.getZoom() * factor,
+      CONFIG.CANVAS_WIDTH / 2,
+      CONFIG.CANVAS_HEIGHT / 2,
+    );
+  }
+
   /**
    * Check if key is pressed
    * @param {string} key - Key
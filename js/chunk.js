@@ -3,22 +3,27 @@
 // =============================
 
 import { CONFIG } from "./config.js";
-import { Tile } from "./tile.js";
-import { classifyBiome } from "./biome.js";
+import { ChunkData } from "./chunkdata.js";
+import { resolveBiomeBlend } from "./biome.js";
+import { TEMPLATE_LEGEND } from "./structure.js";
+import { StructureRegistry } from "./registry.js";
 import {
-  getRandomizedTemplate,
-  scaleTemplate,
-  rotateTemplate,
-  canPlaceStructure,
-  getStructureKey,
-} from "./structure.js";
+  getChunkBounds,
+  boxesIntersect,
+  boxContains,
+  expandBox,
+  createBoundingBox,
+} from "./bounds.js";
+import { getFlattenBounds, flattenElevation } from "./flatten.js";
+import { getVillageRoadBounds, getVillageRoadTiles } from "./village.js";
 import { getScatterType } from "./scatter.js";
-import { createSeededRandom, seededRandomInt } from "./seed.js";
-import {
-  createSeededNoise,
-  normalizeNoise,
-  getDomainWarpedNoise,
-} from "./noise.js";
+import { forkRandom } from "./seed.js";
+import { sampleTerrain } from "./terrain.js";
+import { RiverNetwork } from "./river.js";
+import { ErosionField } from "./erosion.js";
+import { HighwayNetwork } from "./highway.js";
+import { AutotileCache } from "./autotile.js";
+import { DungeonInteriorCache } from "./dungeon.js";
 
 /**
  * Chunk key generator
@@ -30,152 +35,179 @@ export function getChunkKey(cx, cy) {
   return `${cx},${cy}`;
 }
 
+/**
+ * Share of the erosion change kept on a tile near structures: none inside
+ * a footprint box, easing back to all of it over EROSION_FOOTPRINT_MARGIN
+ * tiles, so footprints keep the uneroded terrain their placement rules
+ * were checked on (see createFootprintSampler) without a cliff at the edge
+ * @param {Object[]} placements - Placements near the chunk ({ bounds })
+ * @param {number} worldX - World tile X
+ * @param {number} worldY - World tile Y
+ * @returns {number} Weight (0-1)
+ */
+function getErosionWeight(placements, worldX, worldY) {
+  const margin = CONFIG.EROSION_FOOTPRINT_MARGIN;
+  let weight = 1;
+
+  for (const { bounds } of placements) {
+    const dx = Math.max(bounds.minX - worldX, 0, worldX - bounds.maxX);
+    const dy = Math.max(bounds.minY - worldY, 0, worldY - bounds.maxY);
+    const t = Math.min(1, Math.sqrt(dx * dx + dy * dy) / (margin + 1));
+
+    weight = Math.min(weight, t * t * (3 - 2 * t));
+  }
+
+  return weight;
+}
+
 /**
  * Generate a single chunk
  * @param {number} cx - Chunk X coordinate
  * @param {number} cy - Chunk Y coordinate
  * @param {number} worldSeed - World seed
  * @param {Object} noiseFunctions - { elevation, temperature, humidity, scatter }
- * @param {Object} registry - Structure registry (shared across chunks)
- * @returns {Tile[][]} 2D tile array
+ * @param {StructureRegistry} registry - Structure registry (shared
+ *   across chunks, only a cache)
+ * @param {Object} caches - Shared generation caches { rivers, erosion,
+ *   highways }
+ * @returns {ChunkData} Chunk tile storage
  */
 export function generateChunk(
   cx,
   cy,
   worldSeed,
   noiseFunctions,
-  registry = {},
+  registry = new StructureRegistry(),
+  caches = {},
 ) {
-  const chunk = [];
+  const chunk = new ChunkData(cx, cy);
+  const rivers = caches.rivers || new RiverNetwork();
+  const erosion = caches.erosion || new ErosionField();
+  const highways = caches.highways || new HighwayNetwork();
 
   // =============================
-  // STRUCTURE PLACEMENT LOGIC
+  // STRUCTURES OVERLAPPING THIS CHUNK
+  // Multi-chunk structure detection
   // =============================
 
-  // Spacing rule: only one structure per grid cell
-  const SPACING = CONFIG.STRUCTURE_SPACING;
-  const gridX = Math.floor(cx / SPACING);
-  const gridY = Math.floor(cy / SPACING);
-
-  // Seeded RNG for this grid cell
-  const gridRng = createSeededRandom(
-    worldSeed + gridX * 918273 + gridY * 192837,
+  // The registry evaluates the grid cells around the chunk directly, so
+  // the result doesn't depend on which chunks were generated before.
+  // The search area includes the flattening skirts, erosion margins and
+  // village roads, which reach further than the footprints.
+  const chunkBounds = getChunkBounds(cx, cy);
+  const reach = Math.max(
+    CONFIG.FLATTEN_SKIRT_RADIUS,
+    CONFIG.EROSION_FOOTPRINT_MARGIN,
+    CONFIG.VILLAGE_MAX_RADIUS,
+  );
+  const nearby = registry.getStructuresInBox(
+    expandBox(chunkBounds, reach),
+    worldSeed,
+    noiseFunctions,
+    rivers,
   );
 
-  // Candidate position within grid cell
-  const candidateOffX = Math.floor(gridRng() * SPACING);
-  const candidateOffY = Math.floor(gridRng() * SPACING);
-
-  const isCandidateChunk =
-    cx === gridX * SPACING + candidateOffX &&
-    cy === gridY * SPACING + candidateOffY;
-
-  let structureType = null;
-  let structureChunk = null;
+  const structures = nearby.filter((placement) =>
+    boxesIntersect(placement.bounds, chunkBounds),
+  );
 
-  if (isCandidateChunk) {
-    const roll = gridRng();
+  // Erosion fades back in around footprints, so structures just outside
+  // the chunk still hold it back near the border
+  const erosionGuards = nearby.filter((placement) =>
+    boxesIntersect(
+      expandBox(placement.bounds, CONFIG.EROSION_FOOTPRINT_MARGIN),
+      chunkBounds,
+    ),
+  );
 
-    if (roll < CONFIG.STRUCTURE_SPAWN_CHANCE_VILLAGE) {
-      structureType = "village";
-    } else if (roll < CONFIG.STRUCTURE_SPAWN_CHANCE_DUNGEON) {
-      structureType = "dungeon";
-    }
+  // Sorted by key, so overlapping skirts blend in the same order in
+  // every chunk
+  const flattened = nearby.filter(
+    (placement) =>
+      placement.flattenHeight !== undefined &&
+      boxesIntersect(getFlattenBounds(placement), chunkBounds),
+  );
 
-    if (structureType) {
-      const structKey = getStructureKey(cx, cy);
-      registry[structKey] = {
-        type: structureType,
-        cx,
-        cy,
-      };
-    }
-  }
+  // Village road graphs crossing this chunk (world tile key -> overlay)
+  const villageRoads = nearby
+    .filter(
+      (placement) =>
+        placement.type === "village" &&
+        boxesIntersect(getVillageRoadBounds(placement), chunkBounds),
+    )
+    .map(getVillageRoadTiles);
 
   // =============================
-  // CHECK FOR NEARBY STRUCTURES
-  // Multi-chunk structure detection
-  // =============================
-
-  let nearbyStructure = null;
-
-  for (const key in registry) {
-    const data = registry[key];
-    const dx = Math.abs(cx - data.cx);
-    const dy = Math.abs(cy - data.cy);
-
-    if (dx <= 1 && dy <= 1) {
-      nearbyStructure = data;
-      if (!structureType) {
-        structureType = data.type;
-        structureChunk = `${data.cx},${data.cy}`;
-      }
-      break;
-    }
-  }
-
-  // =============================
-  // PRECOMPUTE ROTATED TEMPLATE
+  // GENERATE TILES FOR CHUNK
   // =============================
 
-  let rotatedTemplate = null;
-  let templateScale = 1;
+  const chunkRng = forkRandom(worldSeed, "chunk", cx, cy);
+  const scatterNoise = noiseFunctions.scatter;
 
-  if (structureType) {
-    const templateSeed = worldSeed + cx * 123456 + cy * 789012;
-    const templateData = getRandomizedTemplate(structureType, templateSeed);
+  // River/lake tiles traced across chunk borders
+  const riverTiles = rivers.getChunkRiverTiles(
+    cx,
+    cy,
+    worldSeed,
+    noiseFunctions,
+  );
 
-    if (templateData) {
-      rotatedTemplate = templateData.template;
-      templateScale = templateData.scale;
-    }
-  }
+  // Highways between villages routed across chunk borders
+  const highwayTiles = highways.getChunkHighwayTiles(
+    cx,
+    cy,
+    worldSeed,
+    noiseFunctions,
+    registry,
+    rivers,
+  );
 
-  // =============================
-  // GENERATE TILES FOR CHUNK
-  // =============================
+  // Elevation change from the erosion pass (seamless across chunks)
+  const erosionDeltas = CONFIG.EROSION_ENABLED
+    ? erosion.getChunkDeltas(cx, cy, worldSeed, noiseFunctions)
+    : null;
 
-  const chunkRng = createSeededRandom(worldSeed + cx * 374829 + cy * 928374);
-  const scatterNoise = noiseFunctions.scatter;
+  // One view re-pointed at every tile (writes go straight to the arrays)
+  const tile = chunk.getTile(0, 0);
 
   for (let x = 0; x < CONFIG.CHUNK_SIZE; x++) {
-    chunk[x] = [];
-
     for (let y = 0; y < CONFIG.CHUNK_SIZE; y++) {
       const worldX = cx * CONFIG.CHUNK_SIZE + x;
       const worldY = cy * CONFIG.CHUNK_SIZE + y;
 
-      const tile = new Tile(worldX, worldY);
+      tile.moveTo(x, y);
 
       // =============================
       // ELEVATION & NOISE SAMPLING
-      // Domain-warped for rivers
       // =============================
 
-      const warp = normalizeNoise(
-        noiseFunctions.elevation(worldX * 0.01, worldY * 0.01),
-      );
+      const localIndex = x * CONFIG.CHUNK_SIZE + y;
 
-      let elevation = normalizeNoise(
-        noiseFunctions.elevation(
-          worldX * CONFIG.NOISE_SCALE + warp * 8,
-          worldY * CONFIG.NOISE_SCALE + warp * 8,
-        ),
+      let { elevation, temperature, humidity } = sampleTerrain(
+        worldX,
+        worldY,
+        noiseFunctions,
       );
 
-      let temperature = normalizeNoise(
-        noiseFunctions.temperature(
-          worldX * CONFIG.TEMP_SCALE,
-          worldY * CONFIG.TEMP_SCALE,
-        ),
-      );
+      if (erosionDeltas) {
+        const weight =
+          erosionGuards.length > 0
+            ? getErosionWeight(erosionGuards, worldX, worldY)
+            : 1;
 
-      let humidity = normalizeNoise(
-        noiseFunctions.humidity(
-          worldX * CONFIG.HUMIDITY_SCALE,
-          worldY * CONFIG.HUMIDITY_SCALE,
-        ),
-      );
+        elevation += erosionDeltas[localIndex] * weight;
+        elevation = Math.min(1, Math.max(0, elevation));
+      }
+
+      // =============================
+      // TERRAIN FLATTENING
+      // Level footprints before biomes are classified, so flattened
+      // ground gets the biome of its new height
+      // =============================
+
+      if (flattened.length > 0) {
+        elevation = flattenElevation(elevation, worldX, worldY, flattened);
+      }
 
       tile.elevation = elevation;
       tile.temperature = temperature;
@@ -185,45 +217,73 @@ export function generateChunk(
       // BIOME CLASSIFICATION
       // =============================
 
-      tile.biome = classifyBiome(elevation, temperature, humidity);
+      const blend = resolveBiomeBlend(elevation, temperature, humidity);
+      tile.biome = blend.biome;
+      tile.secondaryBiome = blend.secondary;
+      tile.biomeBlend = blend.blend;
+
+      // =============================
+      // RIVERS & LAKES
+      // =============================
+
+      if (riverTiles.lakes.has(localIndex)) {
+        tile.biome = "water";
+        tile.biomeBlend = 0;
+      } else if (riverTiles.flow.has(localIndex) && tile.biome !== "water") {
+        tile.overlay = "river";
+        tile.riverFlow = riverTiles.flow.get(localIndex);
+      }
 
       // =============================
       // APPLY STRUCTURE TEMPLATE
       // =============================
 
-      if (structureType && rotatedTemplate) {
-        const template = rotatedTemplate;
-        const size = template.length;
-        const start = Math.floor(CONFIG.CHUNK_SIZE / 2 - size / 2);
-
-        const tx = x - start;
-        const ty = y - start;
-
-        if (tx >= 0 && ty >= 0 && tx < size && ty < size) {
-          const char = template[ty][tx];
-
-          if (char !== ".") {
-            // Check if placement is valid
-            const isValid = canPlaceStructure(
-              structureType,
-              tile.biome,
-              tile.biome === "water",
-            );
-
-            if (isValid) {
-              tile.structure = structureType;
-              tile.biome = structureType;
-
-              // =============================
-              // TERRAIN FLATTENING
-              // Prevent buildings from floating
-              // =============================
-
-              if (structureType === "village") {
-                tile.elevation = 0.5;
-              }
-            }
-          }
+      for (const placement of structures) {
+        if (!boxContains(placement.bounds, worldX, worldY)) continue;
+
+        const row = placement.template[worldY - placement.y];
+        const legend = placement.legend || TEMPLATE_LEGEND;
+        const cell = legend[row[worldX - placement.x]];
+        if (!cell) continue;
+
+        // The whole footprint passed the placement rules when it was
+        // registered, so every cell is stamped (no holes at coastlines).
+        // Only the layers the legend names change (ground is kept unless
+        // the template sets it).
+        for (const [layer, value] of Object.entries(cell)) {
+          tile[layer] = value;
+        }
+
+        break;
+      }
+
+      // =============================
+      // VILLAGE ROADS
+      // Drawn over free land only: buildings, fields and water keep
+      // their tiles
+      // =============================
+
+      if (
+        villageRoads.length > 0 &&
+        !tile.structure &&
+        tile.overlay === null &&
+        tile.biome !== "water"
+      ) {
+        const key = `${worldX},${worldY}`;
+        const road = villageRoads.find((tiles) => tiles.has(key));
+        if (road) tile.overlay = road.get(key);
+      }
+
+      // =============================
+      // HIGHWAYS
+      // Bridges where the route crosses water
+      // =============================
+
+      if (highwayTiles.has(localIndex) && !tile.structure) {
+        if (tile.biome === "water" || tile.overlay === "river") {
+          tile.overlay = "bridge";
+        } else if (tile.overlay === null) {
+          tile.overlay = "road";
         }
       }
 
@@ -234,12 +294,11 @@ export function generateChunk(
       if (
         !tile.structure &&
         tile.biome !== "water" &&
-        tile.roadType === null
+        tile.overlay === null &&
+        tile.object === null
       ) {
         tile.object = getScatterType(tile, worldX, worldY, scatterNoise);
       }
-
-      chunk[x][y] = tile;
     }
   }
 
@@ -252,7 +311,22 @@ export function generateChunk(
 export class ChunkCache {
   constructor() {
     this.chunks = {};
-    this.registry = {}; // Structure registry
+    this.registry = new StructureRegistry();
+
+    // Region-level caches shared by every chunk
+    this.caches = {
+      rivers: new RiverNetwork(),
+      erosion: new ErosionField(),
+      highways: new HighwayNetwork(),
+    };
+
+    // Dungeon interiors (generated when first entered)
+    this.dungeons = new DungeonInteriorCache();
+
+    // Auto-tile masks for loaded chunks
+    this.autotiles = new AutotileCache();
+    this.getLoadedChunk = (cx, cy) =>
+      this.chunks[getChunkKey(cx, cy)] || null;
   }
 
   /**
@@ -261,7 +335,7 @@ export class ChunkCache {
    * @param {number} cy - Chunk Y
    * @param {number} worldSeed - World seed
    * @param {Object} noiseFunctions - Noise functions
-   * @returns {Tile[][]} Chunk tiles
+   * @returns {ChunkData} Chunk tiles
    */
   getChunk(cx, cy, worldSeed, noiseFunctions) {
     const key = getChunkKey(cx, cy);
@@ -273,24 +347,110 @@ export class ChunkCache {
         worldSeed,
         noiseFunctions,
         this.registry,
+        this.caches,
       );
+
+      // Border masks of the surrounding chunks can now see this chunk
+      this.autotiles.invalidate(cx, cy);
     }
 
     return this.chunks[key];
   }
 
   /**
-   * Clear chunk and nearby structure registries
+   * Get auto-tile masks for a loaded chunk
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @returns {Object|null} { members, masks } (see AutotileCache.getMasks)
+   */
+  getAutotileMasks(cx, cy) {
+    return this.autotiles.getMasks(cx, cy, this.getLoadedChunk);
+  }
+
+  /**
+   * Get the interior of the dungeon entered from a world tile
+   * @param {number} worldX - World tile X
+   * @param {number} worldY - World tile Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @returns {DungeonInterior|null} Interior (null = no entrance here)
+   */
+  getDungeonInterior(worldX, worldY, worldSeed, noiseFunctions) {
+    const nearby = this.registry.getStructuresInBox(
+      createBoundingBox(worldX, worldY, 1, 1),
+      worldSeed,
+      noiseFunctions,
+      this.caches.rivers,
+    );
+
+    // Any entrance cell counts (scaled templates have several)
+    const placement = nearby.find((p) => {
+      if (!p.entrance) return false;
+
+      const legend = p.legend || TEMPLATE_LEGEND;
+      const cell = legend[p.template[worldY - p.y][worldX - p.x]];
+      return cell !== null && cell.structure === "dungeon_entrance";
+    });
+
+    return placement ? this.dungeons.get(placement) : null;
+  }
+
+  /**
+   * Find the closest structure of a type (see StructureRegistry.findNearest)
+   * @param {string} type - Structure type
+   * @param {number} fromX - World tile X
+   * @param {number} fromY - World tile Y
+   * @param {number} maxRadius - Search radius in tiles
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @returns {Object|null} { key, type, x, y, distance, placement }
+   */
+  locateStructure(type, fromX, fromY, maxRadius, worldSeed, noiseFunctions) {
+    return this.registry.findNearest(
+      type,
+      fromX,
+      fromY,
+      maxRadius,
+      worldSeed,
+      noiseFunctions,
+      this.caches.rivers,
+    );
+  }
+
+  /**
+   * Structures resolved so far with their state, for debugging placement
+   * rules
+   * @returns {Object[]} [{ key, type, placed, reasons, blockedBy }]
+   */
+  getStructureReport() {
+    return this.registry.getEntries().map((p) => ({
+      key: p.key,
+      type: p.type,
+      placed: !p.rejected,
+      reasons: p.reasons || [],
+      blockedBy: p.blockedBy || [],
+    }));
+  }
+
+  /**
+   * Notify the cache that a loaded chunk's tiles were edited
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   */
+  markChunkChanged(cx, cy) {
+    this.autotiles.invalidate(cx, cy);
+  }
+
+  /**
+   * Unload a chunk (structures are kept: they don't depend on which
+   * chunks are loaded)
    * @param {number} cx - Chunk X
    * @param {number} cy - Chunk Y
    */
   unloadChunk(cx, cy) {
     const key = getChunkKey(cx, cy);
     delete this.chunks[key];
-
-    // Also clean up structure registry for this chunk
-    const registryKey = key;
-    delete this.registry[registryKey];
+    this.autotiles.remove(cx, cy);
   }
 
   /**
@@ -313,7 +473,9 @@ export class ChunkCache {
     }
 
     for (const key of toDelete) {
+      const [cx, cy] = key.split(",").map(Number);
       delete this.chunks[key];
+      this.autotiles.remove(cx, cy);
     }
   }
 
@@ -325,11 +487,32 @@ export class ChunkCache {
     return this.chunks;
   }
 
+  /**
+   * Memory held by loaded chunk tile data
+   * @returns {Object} { chunks, bytes }
+   */
+  getMemoryUsage() {
+    let chunks = 0;
+    let bytes = 0;
+
+    for (const key in this.chunks) {
+      chunks++;
+      bytes += this.chunks[key].getByteSize();
+    }
+
+    return { chunks, bytes };
+  }
+
   /**
    * Clear all chunks
    */
   clear() {
     this.chunks = {};
-    this.registry = {};
+    this.registry.clear();
+    this.caches.rivers.clear();
+    this.caches.erosion.clear();
+    this.caches.highways.clear();
+    this.dungeons.clear();
+    this.autotiles.clear();
   }
 }
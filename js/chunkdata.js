@@ -0,0 +1,79 @@
+// =============================
+// CHUNK STORAGE
+// Typed-array tile data (struct of arrays)
+// =============================
+
+import { CONFIG } from "./config.js";
+import { Tile } from "./tile.js";
+
+/**
+ * Per-tile arrays and their element types.
+ * Strings are stored as palette IDs (see tile.js), 0-1 climate values as
+ * bytes; only elevation keeps full float precision.
+ */
+const CHUNK_FIELDS = {
+  elevation: Float32Array,
+  temperature: Uint8Array,
+  humidity: Uint8Array,
+  biome: Uint8Array,
+  secondaryBiome: Uint8Array,
+  biomeBlend: Uint8Array,
+  object: Uint8Array,
+  structure: Uint8Array,
+  overlay: Uint8Array,
+  riverFlow: Uint16Array,
+};
+
+/**
+ * Bytes used by one tile across all arrays
+ */
+export const BYTES_PER_TILE = Object.values(CHUNK_FIELDS).reduce(
+  (sum, ArrayType) => sum + ArrayType.BYTES_PER_ELEMENT,
+  0,
+);
+
+/**
+ * Tile data for one chunk, indexed x * size + y
+ */
+export class ChunkData {
+  /**
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @param {number} size - Tiles per side
+   */
+  constructor(cx, cy, size = CONFIG.CHUNK_SIZE) {
+    this.cx = cx;
+    this.cy = cy;
+    this.size = size;
+    this.originX = cx * size;
+    this.originY = cy * size;
+
+    for (const [field, ArrayType] of Object.entries(CHUNK_FIELDS)) {
+      this[field] = new ArrayType(size * size);
+    }
+  }
+
+  /**
+   * Get a tile view
+   * @param {number} x - Local X
+   * @param {number} y - Local Y
+   * @param {Tile} view - Optional view to re-use (avoids allocation in loops)
+   * @returns {Tile} Tile view
+   */
+  getTile(x, y, view = null) {
+    if (view) {
+      view.chunk = this;
+      return view.moveTo(x, y);
+    }
+
+    return new Tile(this, x, y);
+  }
+
+  /**
+   * Bytes held by this chunk's tile arrays
+   * @returns {number} Bytes
+   */
+  getByteSize() {
+    return this.size * this.size * BYTES_PER_TILE;
+  }
+}
@@ -0,0 +1,130 @@
+// =============================
+// STRUCTURE COLLISION SOLVER
+// Reject or nudge overlapping structure placements
+// =============================
+
+import { CONFIG } from "./config.js";
+import { boxesIntersect, translateBox } from "./bounds.js";
+
+/**
+ * Nudge offsets tried in order: rings of 8 directions, each ring one
+ * STRUCTURE_NUDGE_STEP further out. Fixed order keeps results deterministic.
+ * @returns {number[][]} [[dx, dy], ...] (first entry is no nudge)
+ */
+export function getNudgeOffsets() {
+  const step = CONFIG.STRUCTURE_NUDGE_STEP;
+  const offsets = [[0, 0]];
+
+  for (let ring = 1; ring <= CONFIG.STRUCTURE_NUDGE_RINGS; ring++) {
+    const d = ring * step;
+    offsets.push(
+      [d, 0],
+      [-d, 0],
+      [0, d],
+      [0, -d],
+      [d, d],
+      [-d, d],
+      [d, -d],
+      [-d, -d],
+    );
+  }
+
+  return offsets;
+}
+
+/**
+ * Placed structures whose boxes overlap a box
+ * @param {Object} bounds - Box to test
+ * @param {Object[]} placed - Placed structures ({ bounds })
+ * @param {number} gap - Minimum tiles between structures
+ * @returns {Object[]} Colliding structures
+ */
+export function findCollisions(bounds, placed, gap = CONFIG.STRUCTURE_MIN_GAP) {
+  return placed.filter((other) => boxesIntersect(bounds, other.bounds, gap));
+}
+
+/**
+ * Move a structure placement by an offset, with the world points it
+ * carries (dungeon entrance, village center and pieces)
+ * @param {Object} placement - Structure placement ({ x, y, bounds, ... })
+ * @param {number} dx - X offset
+ * @param {number} dy - Y offset
+ * @returns {Object} New placement
+ */
+export function nudgePlacement(placement, dx, dy) {
+  if (dx === 0 && dy === 0) return placement;
+
+  const move = (p) => ({ ...p, x: p.x + dx, y: p.y + dy });
+  const moved = {
+    ...placement,
+    x: placement.x + dx,
+    y: placement.y + dy,
+    bounds: translateBox(placement.bounds, dx, dy),
+  };
+
+  if (placement.entrance) moved.entrance = move(placement.entrance);
+
+  if (placement.centerX !== undefined) {
+    moved.centerX = placement.centerX + dx;
+    moved.centerY = placement.centerY + dy;
+  }
+
+  if (placement.pieces) {
+    moved.pieces = placement.pieces.map((piece) => {
+      const anchors = {};
+      for (const [name, point] of Object.entries(piece.anchors || {})) {
+        anchors[name] = move(point);
+      }
+
+      return {
+        ...move(piece),
+        anchors,
+        connectors: (piece.connectors || []).map(move),
+      };
+    });
+  }
+
+  return moved;
+}
+
+/**
+ * Fit a candidate among already placed structures
+ * @param {Object} candidate - Structure placement ({ bounds, ... })
+ * @param {Object[]} placed - Placed structures
+ * @param {number} gap - Minimum tiles between structures
+ * @param {Function|null} check - Extra test for collision-free positions,
+ *   (placement) => { reasons, ... } (no reasons = accepted), e.g. the
+ *   footprint rules (evaluatePlacement)
+ * @returns {Object} { placement, nudged, evaluation } (evaluation = the
+ *   check's result for the kept position, null without a check) or
+ *   { placement: null, blockedBy, reasons } (reasons = first failed check)
+ */
+export function resolveCollision(
+  candidate,
+  placed,
+  gap = CONFIG.STRUCTURE_MIN_GAP,
+  check = null,
+) {
+  let blockedBy = [];
+  let reasons = null;
+
+  for (const [dx, dy] of getNudgeOffsets()) {
+    const placement = nudgePlacement(candidate, dx, dy);
+    const collisions = findCollisions(placement.bounds, placed, gap);
+
+    if (collisions.length > 0) {
+      if (blockedBy.length === 0) blockedBy = collisions;
+      continue;
+    }
+
+    const evaluation = check ? check(placement) : null;
+
+    if (!evaluation || evaluation.reasons.length === 0) {
+      return { placement, nudged: dx !== 0 || dy !== 0, evaluation };
+    }
+
+    if (!reasons) reasons = evaluation.reasons;
+  }
+
+  return { placement: null, blockedBy, reasons: reasons || [] };
+}
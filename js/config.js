@@ -18,33 +18,164 @@ export const CONFIG = {
 
   // Camera
   CAMERA_SPEED: 10,
+  MIN_ZOOM: 0.25,
+  MAX_ZOOM: 4,
+  ZOOM_STEP: 0.02,
 
-  // World Seed
+  // World Seed (number or text, e.g. "mossy-coast")
   WORLD_SEED: 12345,
 
+  // Shareable URL (#seed=...&x=...&y=...&zoom=...)
+  URL_UPDATE_INTERVAL: 500,
+
   // Structure Spacing (minimal distance rule)
   STRUCTURE_SPACING: 4,
   STRUCTURE_SPAWN_CHANCE_VILLAGE: 0.03,
   STRUCTURE_SPAWN_CHANCE_DUNGEON: 0.05,
 
+  // Structure template files loaded at startup (see templates.js)
+  STRUCTURE_TEMPLATE_MANIFEST: "structures/index.json",
+
+  // Structure Collision (see collision.js)
+  STRUCTURE_MIN_GAP: 2, // Tiles kept free between structure boxes
+  STRUCTURE_NUDGE_STEP: 4, // Tiles moved per nudge ring
+  STRUCTURE_NUDGE_RINGS: 2, // Rings tried before rejecting a placement
+  STRUCTURE_CACHE_LIMIT: 512, // Resolved grid cells kept (see registry.js)
+  STRUCTURE_LOCATE_RADIUS: 4096, // Default locateStructure() search radius
+
+  // Dungeon Interiors (see dungeon.js)
+  DUNGEON_INTERIOR_SIZE: 48, // Interior grid width/height in tiles
+  DUNGEON_BSP_MIN_LEAF: 10, // Smallest BSP partition
+  DUNGEON_MIN_ROOM: 4,
+  DUNGEON_MAX_ROOM: 10,
+  DUNGEON_MAX_ROOMS: 12, // Random-room layout
+  DUNGEON_ROOM_ATTEMPTS: 40, // Random-room placement tries
+  DUNGEON_TREASURE_ROOMS: 2,
+  DUNGEON_CACHE_LIMIT: 16, // Interiors kept in memory
+
+  // Village Road Layouts (see road.js)
+  ROAD_MAIN_WIDTH: 1, // Tiles on each side of the center line
+  ROAD_SIDE_WIDTH: 0,
+  ROAD_PATH_WIDTH: 0,
+  ROAD_LOOP_EDGES: 2, // Extra edges closing loops (organic layout)
+  ROAD_LOOP_MAX_LENGTH: 12, // Longest loop edge in tiles
+  ROAD_GRID_SPACING: 6, // Block size (grid layout)
+
+  // Highways between villages (see highway.js)
+  HIGHWAY_ENABLED: true,
+  HIGHWAY_LINKS: 2, // Nearest villages each village links to
+  HIGHWAY_LINK_RANGE: 2, // Grid cells searched for partners
+  HIGHWAY_MAX_LENGTH: 320, // Longest link in straight-line tiles
+  HIGHWAY_LINK_DUNGEONS: false, // Spur from each dungeon to a village
+  HIGHWAY_CORRIDOR: 32, // Tiles around the endpoints A* may use
+  HIGHWAY_WIDTH: 0, // Tiles on each side of the route
+  HIGHWAY_SLOPE_COST: 30, // Cost per unit of elevation step
+  HIGHWAY_ELEVATION_COST: 1, // Cost per unit of elevation (prefer lowland)
+  HIGHWAY_BRIDGE_COST: 12, // Cost of a water tile (bridge)
+  HIGHWAY_ROAD_COST: 0.5, // Multiplier on tiles that already are roads
+  HIGHWAY_HEURISTIC_WEIGHT: 1.5, // A* estimate scale (> 1 = faster, rougher)
+  HIGHWAY_CACHE_LIMIT: 256, // Routed regions kept
+
+  // Terrain Flattening (see flatten.js)
+  FLATTEN_SKIRT_RADIUS: 4, // Tiles blended back to natural terrain
+
+  // Village Assembly (see village.js)
+  VILLAGE_MIN_PIECES: 5, // Fewer fitting pieces = no village
+  VILLAGE_MAX_PIECES: 18,
+  VILLAGE_MAX_RADIUS: 14, // Tiles from the plaza center
+  VILLAGE_MAX_STREET_DEPTH: 4, // Streets chained away from the plaza
+  VILLAGE_PIECE_ATTEMPTS: 6, // Pieces tried per open connector
+  VILLAGE_HOUSE_SPACING: 5, // Tiles between house slots along a road
+  VILLAGE_MAX_LANDMARKS: 2, // Special buildings at road ends
+
+  // Noise Backend ("simplex" | "perlin" | "value")
+  NOISE_BACKEND: "simplex",
+
   // Noise Scales
   NOISE_SCALE: 0.05,
   TEMP_SCALE: 0.02,
   HUMIDITY_SCALE: 0.02,
   SCATTER_SCALE: 0.08,
 
+  // Fractal Noise Layers
+  // type: "fbm" | "ridged" | "billow"
+  // lacunarity = frequency multiplier per octave
+  // persistence = amplitude multiplier per octave
+  NOISE_LAYERS: {
+    elevation: { type: "fbm", octaves: 5, lacunarity: 2.0, persistence: 0.5 },
+    temperature: { type: "fbm", octaves: 3, lacunarity: 2.0, persistence: 0.5 },
+    humidity: { type: "fbm", octaves: 3, lacunarity: 2.0, persistence: 0.5 },
+    continent: { type: "fbm", octaves: 3, lacunarity: 2.0, persistence: 0.5 },
+    ridge: { type: "ridged", octaves: 4, lacunarity: 2.0, persistence: 0.5 },
+  },
+
+  // Terrain Shaping (macro layers, see terrain.js)
+  // Influence 0 disables a layer
+  CONTINENT_SCALE: 0.003,
+  CONTINENT_INFLUENCE: 0.6, // Pushes low continentalness to ocean, high to land
+  RIDGE_SCALE: 0.008,
+  RIDGE_INFLUENCE: 0.4, // Height added along mountain chains
+  RIDGE_INLAND_MIN: 0.5, // Continentalness where chains start to rise
+  RIDGE_INLAND_MAX: 0.7, // Continentalness where chains reach full height
+  LATITUDE_ENABLED: false,
+  LATITUDE_PERIOD: 4096, // Tiles from equator to equator (north-south)
+  LATITUDE_INFLUENCE: 0.6, // Blend between noise and latitude temperature
+
   // Elevation Thresholds
   WATER_THRESHOLD: 0.3,
   SAND_THRESHOLD: 0.35,
   MOUNTAIN_THRESHOLD: 0.8,
   SNOW_THRESHOLD: 0.9,
 
+  // Rivers (downhill tracing)
+  RIVER_REGION_SIZE: 96, // Tiles per source region
+  RIVER_SOURCE_ATTEMPTS: 4, // Source candidates per region
+  RIVER_SOURCE_CHANCE: 0.6,
+  RIVER_SOURCE_MIN_ELEVATION: 0.6,
+  RIVER_MIN_LENGTH: 12,
+  RIVER_MAX_LENGTH: 192,
+  RIVER_MAX_FLOODED: 80, // Depression tiles a river may fill and spill out of
+  RIVER_LAKE_MIN_SIZE: 12, // Smaller depressions stay part of the riverbed
+  RIVER_MAX_RADIUS: 2,
+  RIVER_WIDTH_GROWTH: 0.75, // Radius = log2(flow) * growth
+  RIVER_MEANDER: 0.01,
+  RIVER_CACHE_LIMIT: 512,
+
+  // Erosion (runs on overlapping cached windows, see erosion.js)
+  EROSION_ENABLED: true,
+  EROSION_REGION_SIZE: 64, // Window spacing in tiles (window = 2x + padding)
+  EROSION_PADDING: 8,
+  EROSION_STRENGTH: 1.0, // Multiplier on the final elevation change
+  EROSION_CACHE_LIMIT: 256,
+  EROSION_FOOTPRINT_MARGIN: 6, // Tiles over which erosion fades back in
+
+  // Thermal erosion (talus slopes)
+  EROSION_THERMAL_ITERATIONS: 5,
+  EROSION_TALUS: 0.05, // Max stable height difference between tiles
+  EROSION_THERMAL_RATE: 0.5,
+
+  // Hydraulic erosion (rain droplets)
+  EROSION_DROPLET_DENSITY: 0.3, // Droplets per tile
+  EROSION_DROPLET_LIFETIME: 30,
+  EROSION_INERTIA: 0.05,
+  EROSION_CAPACITY: 4,
+  EROSION_MIN_CAPACITY: 0.01,
+  EROSION_ERODE_RATE: 0.3,
+  EROSION_DEPOSIT_RATE: 0.3,
+  EROSION_GRAVITY: 4,
+  EROSION_EVAPORATION: 0.02,
+
   // Temperature/Humidity Thresholds
   DESERT_TEMP: 0.7,
   DESERT_HUMIDITY: 0.4,
   SNOW_TEMP: 0.3,
   FOREST_HUMIDITY: 0.6,
 
+  // Biome Blending
+  BIOME_BLEND_WIDTH: 0.04, // Climate distance over which biomes fade
+  BIOME_TRANSITION_BLEND: 0.3, // Secondary share that triggers a transition
+  BIOME_COLOR_STEPS: 8, // Quantized blend levels (color cache size)
+
   // Object Biome Densities
   FOREST_TREE_DENSITY: 0.55,
   GRASS_TREE_DENSITY: 0.75,
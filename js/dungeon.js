@@ -0,0 +1,461 @@
+// =============================
+// DUNGEON INTERIORS
+// BSP / random-room layouts behind overworld entrances
+// =============================
+
+import { CONFIG } from "./config.js";
+import { BoundedMap } from "./cache.js";
+import { forkRandom, seededRandomInt } from "./seed.js";
+import { createBoundingBox, boxesIntersect } from "./bounds.js";
+
+/**
+ * Interior layout:
+ * 1. Rooms are placed by BSP (split the grid until leaves reach
+ *    DUNGEON_BSP_MIN_LEAF, one room per leaf) or by random placement
+ *    (rejecting overlaps).
+ * 2. Rooms are joined by L-shaped corridors (BSP: sibling subtrees,
+ *    random rooms: each room to its nearest earlier room). A door is set
+ *    wherever a corridor leaves or enters a room.
+ * 3. Rooms are tagged: the southmost room is the entrance (with the stairs
+ *    back to the overworld), the room furthest from it is the boss room and
+ *    dead ends become treasure rooms.
+ * Everything comes from the dungeon's seed, so an interior can be rebuilt
+ * at any time from its registry entry.
+ */
+
+/**
+ * Interior cell types (id = value stored in the grid)
+ */
+export const DUNGEON_CELLS = {
+  wall: { id: 0, char: "#", walkable: false },
+  floor: { id: 1, char: ".", walkable: true },
+  corridor: { id: 2, char: ",", walkable: true },
+  door: { id: 3, char: "+", walkable: true },
+  entrance: { id: 4, char: "<", walkable: true },
+};
+
+/**
+ * Cell names by id
+ */
+const CELL_NAMES = Object.keys(DUNGEON_CELLS).sort(
+  (a, b) => DUNGEON_CELLS[a].id - DUNGEON_CELLS[b].id,
+);
+
+/**
+ * Tile grid of one dungeon interior
+ */
+export class DungeonInterior {
+  /**
+   * @param {number} width - Width in tiles
+   * @param {number} height - Height in tiles
+   * @param {number} seed - Dungeon seed
+   */
+  constructor(width, height, seed) {
+    this.width = width;
+    this.height = height;
+    this.seed = seed;
+    this.layout = null; // "bsp" | "rooms"
+    this.cells = new Uint8Array(width * height); // All walls
+    this.roomIds = new Int16Array(width * height).fill(-1);
+    this.rooms = [];
+    this.doors = [];
+    this.entrance = null; // Interior tile of the stairs up
+    this.overworld = null; // World tile of the overworld entrance
+  }
+
+  /**
+   * Check whether a tile is inside the grid
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {boolean} Inside
+   */
+  inBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  /**
+   * Get a cell type
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {string} Cell name (outside the grid = "wall")
+   */
+  getCell(x, y) {
+    if (!this.inBounds(x, y)) return "wall";
+    return CELL_NAMES[this.cells[x * this.height + y]];
+  }
+
+  /**
+   * Set a cell type
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {string} name - Cell name (see DUNGEON_CELLS)
+   */
+  setCell(x, y, name) {
+    this.cells[x * this.height + y] = DUNGEON_CELLS[name].id;
+  }
+
+  /**
+   * Check whether a tile can be walked on
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {boolean} Is walkable
+   */
+  isWalkable(x, y) {
+    return DUNGEON_CELLS[this.getCell(x, y)].walkable;
+  }
+
+  /**
+   * Get the room covering a tile
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @returns {Object|null} Room
+   */
+  getRoomAt(x, y) {
+    if (!this.inBounds(x, y)) return null;
+
+    const id = this.roomIds[x * this.height + y];
+    return id >= 0 ? this.rooms[id] : null;
+  }
+
+  /**
+   * Get rooms with a tag
+   * @param {string} tag - "entrance" | "treasure" | "boss" | "room"
+   * @returns {Object[]} Rooms
+   */
+  getRoomsByTag(tag) {
+    return this.rooms.filter((room) => room.tag === tag);
+  }
+
+  /**
+   * Text picture of the interior (see DUNGEON_CELLS chars), for debugging
+   * @returns {string[]} Rows
+   */
+  toAscii() {
+    const rows = [];
+
+    for (let y = 0; y < this.height; y++) {
+      let row = "";
+      for (let x = 0; x < this.width; x++) {
+        row += DUNGEON_CELLS[this.getCell(x, y)].char;
+      }
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
+
+/**
+ * Carve a room into the interior
+ * @param {DungeonInterior} interior - Interior
+ * @param {Object} box - Room box (inclusive)
+ * @returns {Object} Room { id, x, y, width, height, center, tag, neighbors }
+ */
+function carveRoom(interior, box) {
+  const room = {
+    id: interior.rooms.length,
+    x: box.minX,
+    y: box.minY,
+    width: box.maxX - box.minX + 1,
+    height: box.maxY - box.minY + 1,
+    center: {
+      x: Math.floor((box.minX + box.maxX) / 2),
+      y: Math.floor((box.minY + box.maxY) / 2),
+    },
+    bounds: box,
+    tag: "room",
+    neighbors: [],
+  };
+
+  for (let x = box.minX; x <= box.maxX; x++) {
+    for (let y = box.minY; y <= box.maxY; y++) {
+      interior.setCell(x, y, "floor");
+      interior.roomIds[x * interior.height + y] = room.id;
+    }
+  }
+
+  interior.rooms.push(room);
+  return room;
+}
+
+/**
+ * Random room box inside an area (keeps a 1-tile wall margin)
+ * @param {Object} area - { x, y, width, height }
+ * @param {Function} rng - Seeded RNG
+ * @returns {Object} Box
+ */
+function randomRoomBox(area, rng) {
+  const maxW = Math.min(CONFIG.DUNGEON_MAX_ROOM, area.width - 2);
+  const maxH = Math.min(CONFIG.DUNGEON_MAX_ROOM, area.height - 2);
+  const width = seededRandomInt(rng, CONFIG.DUNGEON_MIN_ROOM, maxW + 1);
+  const height = seededRandomInt(rng, CONFIG.DUNGEON_MIN_ROOM, maxH + 1);
+  const x = area.x + 1 + seededRandomInt(rng, 0, area.width - width - 1);
+  const y = area.y + 1 + seededRandomInt(rng, 0, area.height - height - 1);
+
+  return createBoundingBox(x, y, width, height);
+}
+
+/**
+ * Dig an L-shaped corridor between two rooms, with doors where it
+ * crosses a room edge
+ * @param {DungeonInterior} interior - Interior
+ * @param {Object} a - Room
+ * @param {Object} b - Room
+ * @param {Function} rng - Seeded RNG
+ */
+function connectRooms(interior, a, b, rng) {
+  const path = [];
+  const { x: x0, y: y0 } = a.center;
+  const { x: x1, y: y1 } = b.center;
+  const stepX = Math.sign(x1 - x0);
+  const stepY = Math.sign(y1 - y0);
+
+  // Horizontal or vertical leg first
+  if (rng() < 0.5) {
+    for (let x = x0; x !== x1; x += stepX) path.push([x, y0]);
+    for (let y = y0; y !== y1; y += stepY) path.push([x1, y]);
+  } else {
+    for (let y = y0; y !== y1; y += stepY) path.push([x0, y]);
+    for (let x = x0; x !== x1; x += stepX) path.push([x, y1]);
+  }
+  path.push([x1, y1]);
+
+  for (let i = 0; i < path.length; i++) {
+    const [x, y] = path[i];
+    const inRoom = interior.getRoomAt(x, y) !== null;
+
+    if (!inRoom && interior.getCell(x, y) === "wall") {
+      interior.setCell(x, y, "corridor");
+    }
+
+    if (i === 0) continue;
+
+    // Door on the outside cell of every room edge crossing
+    const [px, py] = path[i - 1];
+    const wasInRoom = interior.getRoomAt(px, py) !== null;
+
+    if (wasInRoom !== inRoom) {
+      const [dx, dy] = inRoom ? [px, py] : [x, y];
+
+      if (interior.getCell(dx, dy) !== "door") {
+        interior.setCell(dx, dy, "door");
+        interior.doors.push({ x: dx, y: dy });
+      }
+    }
+  }
+
+  if (!a.neighbors.includes(b.id)) a.neighbors.push(b.id);
+  if (!b.neighbors.includes(a.id)) b.neighbors.push(a.id);
+}
+
+/**
+ * Rooms of two sets closest to each other
+ * @param {Object[]} left - Rooms
+ * @param {Object[]} right - Rooms
+ * @returns {Object[]} [roomA, roomB]
+ */
+function closestRooms(left, right) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const a of left) {
+    for (const b of right) {
+      const distance =
+        Math.abs(a.center.x - b.center.x) + Math.abs(a.center.y - b.center.y);
+
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = [a, b];
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * BSP layout: split, put a room in every leaf, connect sibling subtrees
+ * @param {DungeonInterior} interior - Interior
+ * @param {Object} area - { x, y, width, height }
+ * @param {Function} rng - Seeded RNG
+ * @returns {Object[]} Rooms in this subtree
+ */
+function buildBspRooms(interior, area, rng) {
+  const minLeaf = CONFIG.DUNGEON_BSP_MIN_LEAF;
+  const canSplitX = area.width >= minLeaf * 2;
+  const canSplitY = area.height >= minLeaf * 2;
+
+  if (!canSplitX && !canSplitY) {
+    return [carveRoom(interior, randomRoomBox(area, rng))];
+  }
+
+  // Split across the longer side (random when square)
+  let splitX = canSplitX;
+  if (canSplitX && canSplitY) {
+    splitX =
+      area.width === area.height ? rng() < 0.5 : area.width > area.height;
+  }
+
+  const length = splitX ? area.width : area.height;
+  const cut = seededRandomInt(rng, minLeaf, length - minLeaf + 1);
+
+  const [first, second] = splitX
+    ? [
+        { ...area, width: cut },
+        { ...area, x: area.x + cut, width: area.width - cut },
+      ]
+    : [
+        { ...area, height: cut },
+        { ...area, y: area.y + cut, height: area.height - cut },
+      ];
+
+  const left = buildBspRooms(interior, first, rng);
+  const right = buildBspRooms(interior, second, rng);
+  const [a, b] = closestRooms(left, right);
+  connectRooms(interior, a, b, rng);
+
+  return [...left, ...right];
+}
+
+/**
+ * Random-room layout: scatter non-overlapping rooms, connect each to its
+ * nearest earlier room
+ * @param {DungeonInterior} interior - Interior
+ * @param {Function} rng - Seeded RNG
+ */
+function buildRandomRooms(interior, rng) {
+  const area = { x: 0, y: 0, width: interior.width, height: interior.height };
+
+  for (let i = 0; i < CONFIG.DUNGEON_ROOM_ATTEMPTS; i++) {
+    if (interior.rooms.length >= CONFIG.DUNGEON_MAX_ROOMS) break;
+
+    const box = randomRoomBox(area, rng);
+    const overlaps = interior.rooms.some((room) =>
+      boxesIntersect(box, room.bounds, 1),
+    );
+
+    if (!overlaps) carveRoom(interior, box);
+  }
+
+  const rooms = interior.rooms;
+  for (let i = 1; i < rooms.length; i++) {
+    const [a, b] = closestRooms([rooms[i]], rooms.slice(0, i));
+    connectRooms(interior, a, b, rng);
+  }
+}
+
+/**
+ * Tag entrance, boss and treasure rooms
+ * @param {DungeonInterior} interior - Interior
+ * @param {Function} rng - Seeded RNG
+ */
+function tagRooms(interior, rng) {
+  const rooms = interior.rooms;
+
+  // Entrance: southmost room (the side the overworld stairs lead down to)
+  const entrance = rooms.reduce((best, room) =>
+    room.center.y > best.center.y ? room : best,
+  );
+  entrance.tag = "entrance";
+  interior.entrance = { ...entrance.center };
+  interior.setCell(entrance.center.x, entrance.center.y, "entrance");
+
+  if (rooms.length === 1) return;
+
+  // Room graph distance from the entrance (breadth-first)
+  const depth = new Map([[entrance.id, 0]]);
+  const queue = [entrance];
+
+  while (queue.length > 0) {
+    const room = queue.shift();
+
+    for (const id of room.neighbors) {
+      if (depth.has(id)) continue;
+      depth.set(id, depth.get(room.id) + 1);
+      queue.push(rooms[id]);
+    }
+  }
+
+  // Boss: furthest room, larger room on ties
+  const boss = rooms
+    .filter((room) => room !== entrance)
+    .reduce((best, room) => {
+      const d = depth.get(room.id) ?? -1;
+      const bestD = depth.get(best.id) ?? -1;
+      if (d !== bestD) return d > bestD ? room : best;
+      return room.width * room.height > best.width * best.height ? room : best;
+    });
+  boss.tag = "boss";
+
+  // Treasure: dead ends first, then random rooms
+  const untagged = rooms.filter((room) => room.tag === "room");
+  const deadEnds = untagged.filter((room) => room.neighbors.length === 1);
+  const others = untagged.filter((room) => room.neighbors.length !== 1);
+
+  while (others.length > 0) {
+    deadEnds.push(others.splice(Math.floor(rng() * others.length), 1)[0]);
+  }
+
+  for (const room of deadEnds.slice(0, CONFIG.DUNGEON_TREASURE_ROOMS)) {
+    room.tag = "treasure";
+  }
+}
+
+/**
+ * Generate a dungeon interior
+ * @param {number} seed - Dungeon seed (registry entry seed)
+ * @param {Object} options - { layout: "bsp" | "rooms", width, height }
+ *   (layout defaults to a seeded pick)
+ * @returns {DungeonInterior} Interior
+ */
+export function generateDungeonInterior(seed, options = {}) {
+  const rng = forkRandom(seed, "dungeon-interior");
+  const width = options.width || CONFIG.DUNGEON_INTERIOR_SIZE;
+  const height = options.height || CONFIG.DUNGEON_INTERIOR_SIZE;
+  const layout = options.layout || (rng() < 0.5 ? "bsp" : "rooms");
+
+  const interior = new DungeonInterior(width, height, seed);
+  interior.layout = layout;
+
+  if (layout === "bsp") {
+    buildBspRooms(interior, { x: 0, y: 0, width, height }, rng);
+  } else {
+    buildRandomRooms(interior, rng);
+  }
+
+  tagRooms(interior, rng);
+  return interior;
+}
+
+/**
+ * Interiors of dungeon placements, generated on first visit
+ */
+export class DungeonInteriorCache {
+  constructor() {
+    this.interiors = new BoundedMap(CONFIG.DUNGEON_CACHE_LIMIT);
+  }
+
+  /**
+   * Get (or generate) the interior of a dungeon placement
+   * @param {Object} placement - Registry entry ({ key, seed, entrance })
+   * @returns {DungeonInterior} Interior
+   */
+  get(placement) {
+    if (!this.interiors.has(placement.key)) {
+      const interior = generateDungeonInterior(placement.seed);
+      interior.overworld = placement.entrance
+        ? { ...placement.entrance }
+        : null;
+      this.interiors.set(placement.key, interior);
+    }
+
+    return this.interiors.get(placement.key);
+  }
+
+  /**
+   * Forget all interiors
+   */
+  clear() {
+    this.interiors.clear();
+  }
+}
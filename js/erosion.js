@@ -0,0 +1,327 @@
+// =============================
+// EROSION SYSTEM
+// Hydraulic + thermal erosion over cached super-regions
+// =============================
+
+import { CONFIG } from "./config.js";
+import { BoundedMap } from "./cache.js";
+import { forkRandom } from "./seed.js";
+import { sampleElevation } from "./terrain.js";
+
+/**
+ * Seamless tiling:
+ * Erosion runs on overlapping windows centered every EROSION_REGION_SIZE
+ * tiles (each window spans 2 * size + padding). A tile's final change is
+ * the tent-weighted blend of the 4 windows covering it; the weights always
+ * sum to 1, so the result is continuous across windows and independent of
+ * which chunk asked first.
+ */
+
+/**
+ * Erosion window key generator
+ * @param {number} wx - Window X
+ * @param {number} wy - Window Y
+ * @returns {string} Key
+ */
+export function getErosionWindowKey(wx, wy) {
+  return `${wx},${wy}`;
+}
+
+/**
+ * Thermal erosion: material slides off slopes steeper than the talus angle
+ * @param {Float32Array} heights - Height grid (row-major, modified in place)
+ * @param {number} size - Grid width/height
+ */
+export function applyThermalErosion(heights, size) {
+  const talus = CONFIG.EROSION_TALUS;
+  const rate = CONFIG.EROSION_THERMAL_RATE;
+  const offsets = [-1, 1, -size, size];
+
+  for (let iter = 0; iter < CONFIG.EROSION_THERMAL_ITERATIONS; iter++) {
+    for (let y = 1; y < size - 1; y++) {
+      for (let x = 1; x < size - 1; x++) {
+        const i = y * size + x;
+
+        // Steepest downhill neighbour
+        let lowest = i;
+        let maxDrop = 0;
+
+        for (const offset of offsets) {
+          const n = i + offset;
+          const drop = heights[i] - heights[n];
+          if (drop > maxDrop) {
+            maxDrop = drop;
+            lowest = n;
+          }
+        }
+
+        if (maxDrop > talus) {
+          const amount = (rate * (maxDrop - talus)) / 2;
+          heights[i] -= amount;
+          heights[lowest] += amount;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Bilinear height + gradient at a fractional grid position
+ * @param {Float32Array} heights - Height grid
+ * @param {number} size - Grid width/height
+ * @param {number} px - X position
+ * @param {number} py - Y position
+ * @returns {Object} { height, gradX, gradY }
+ */
+function sampleHeightGradient(heights, size, px, py) {
+  const x = Math.floor(px);
+  const y = Math.floor(py);
+  const u = px - x;
+  const v = py - y;
+  const i = y * size + x;
+
+  const h00 = heights[i];
+  const h10 = heights[i + 1];
+  const h01 = heights[i + size];
+  const h11 = heights[i + size + 1];
+
+  return {
+    height:
+      h00 * (1 - u) * (1 - v) +
+      h10 * u * (1 - v) +
+      h01 * (1 - u) * v +
+      h11 * u * v,
+    gradX: (h10 - h00) * (1 - v) + (h11 - h01) * v,
+    gradY: (h01 - h00) * (1 - u) + (h11 - h10) * u,
+  };
+}
+
+/**
+ * Add (or remove) material at a fractional position, split bilinearly
+ * @param {Float32Array} heights - Height grid
+ * @param {number} size - Grid width/height
+ * @param {number} px - X position
+ * @param {number} py - Y position
+ * @param {number} amount - Positive deposits, negative erodes
+ */
+function depositBilinear(heights, size, px, py, amount) {
+  const x = Math.floor(px);
+  const y = Math.floor(py);
+  const u = px - x;
+  const v = py - y;
+  const i = y * size + x;
+
+  heights[i] += amount * (1 - u) * (1 - v);
+  heights[i + 1] += amount * u * (1 - v);
+  heights[i + size] += amount * (1 - u) * v;
+  heights[i + size + 1] += amount * u * v;
+}
+
+/**
+ * Hydraulic erosion: simulated rain droplets carve valleys and drop
+ * sediment where they slow down (alluvial fans)
+ * @param {Float32Array} heights - Height grid (row-major, modified in place)
+ * @param {number} size - Grid width/height
+ * @param {Function} rng - Seeded RNG for droplet spawn points
+ */
+export function applyHydraulicErosion(heights, size, rng) {
+  const droplets = Math.floor(size * size * CONFIG.EROSION_DROPLET_DENSITY);
+  const inertia = CONFIG.EROSION_INERTIA;
+
+  for (let d = 0; d < droplets; d++) {
+    let px = 1 + rng() * (size - 3);
+    let py = 1 + rng() * (size - 3);
+    let dirX = 0;
+    let dirY = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+
+    for (let life = 0; life < CONFIG.EROSION_DROPLET_LIFETIME; life++) {
+      const here = sampleHeightGradient(heights, size, px, py);
+
+      // Reached the sea: remaining sediment is carried offshore
+      if (here.height < CONFIG.WATER_THRESHOLD) {
+        break;
+      }
+
+      dirX = dirX * inertia - here.gradX * (1 - inertia);
+      dirY = dirY * inertia - here.gradY * (1 - inertia);
+
+      const len = Math.sqrt(dirX * dirX + dirY * dirY);
+      if (len === 0) break;
+
+      dirX /= len;
+      dirY /= len;
+
+      const nextX = px + dirX;
+      const nextY = py + dirY;
+
+      if (nextX < 1 || nextY < 1 || nextX >= size - 2 || nextY >= size - 2) {
+        break;
+      }
+
+      const deltaH =
+        sampleHeightGradient(heights, size, nextX, nextY).height - here.height;
+
+      const capacity = Math.max(
+        -deltaH * speed * water * CONFIG.EROSION_CAPACITY,
+        CONFIG.EROSION_MIN_CAPACITY,
+      );
+
+      if (sediment > capacity || deltaH > 0) {
+        // Uphill or overloaded: drop sediment (fill the pit when uphill)
+        const amount =
+          deltaH > 0
+            ? Math.min(deltaH, sediment)
+            : (sediment - capacity) * CONFIG.EROSION_DEPOSIT_RATE;
+
+        sediment -= amount;
+        depositBilinear(heights, size, px, py, amount);
+      } else {
+        const amount = Math.min(
+          (capacity - sediment) * CONFIG.EROSION_ERODE_RATE,
+          -deltaH,
+        );
+
+        sediment += amount;
+        depositBilinear(heights, size, px, py, -amount);
+      }
+
+      speed = Math.sqrt(
+        Math.max(0, speed * speed - deltaH * CONFIG.EROSION_GRAVITY),
+      );
+      water *= 1 - CONFIG.EROSION_EVAPORATION;
+
+      px = nextX;
+      py = nextY;
+    }
+  }
+}
+
+/**
+ * Erode one window and return the per-tile elevation change
+ * @param {number} wx - Window X (window center = wx * EROSION_REGION_SIZE)
+ * @param {number} wy - Window Y
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {Object} { originX, originY, size, delta: Float32Array }
+ */
+export function erodeWindow(wx, wy, worldSeed, noiseFunctions) {
+  const half = CONFIG.EROSION_REGION_SIZE;
+  const padding = CONFIG.EROSION_PADDING;
+  const size = half * 2 + padding * 2;
+
+  const originX = wx * half - half - padding;
+  const originY = wy * half - half - padding;
+
+  const original = new Float32Array(size * size);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      original[y * size + x] = sampleElevation(
+        originX + x,
+        originY + y,
+        noiseFunctions,
+      );
+    }
+  }
+
+  const heights = original.slice();
+  const rng = forkRandom(worldSeed, "erosion", wx, wy);
+
+  applyHydraulicErosion(heights, size, rng);
+  applyThermalErosion(heights, size);
+
+  const delta = new Float32Array(size * size);
+  for (let i = 0; i < delta.length; i++) {
+    delta[i] = (heights[i] - original[i]) * CONFIG.EROSION_STRENGTH;
+  }
+
+  return { originX, originY, size, delta };
+}
+
+/**
+ * Cache of eroded windows
+ */
+export class ErosionField {
+  constructor() {
+    this.windows = new BoundedMap(CONFIG.EROSION_CACHE_LIMIT);
+  }
+
+  /**
+   * Get (or compute) an eroded window
+   * @param {number} wx - Window X
+   * @param {number} wy - Window Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @returns {Object} Window data
+   */
+  getWindow(wx, wy, worldSeed, noiseFunctions) {
+    const key = getErosionWindowKey(wx, wy);
+
+    if (!this.windows.has(key)) {
+      this.windows.set(key, erodeWindow(wx, wy, worldSeed, noiseFunctions));
+    }
+
+    return this.windows.get(key);
+  }
+
+  /**
+   * Elevation change for every tile of a chunk
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @returns {Float32Array} Deltas indexed x * CHUNK_SIZE + y
+   */
+  getChunkDeltas(cx, cy, worldSeed, noiseFunctions) {
+    const chunkSize = CONFIG.CHUNK_SIZE;
+    const half = CONFIG.EROSION_REGION_SIZE;
+    const deltas = new Float32Array(chunkSize * chunkSize);
+
+    for (let x = 0; x < chunkSize; x++) {
+      for (let y = 0; y < chunkSize; y++) {
+        const worldX = cx * chunkSize + x;
+        const worldY = cy * chunkSize + y;
+
+        const wx0 = Math.floor(worldX / half);
+        const wy0 = Math.floor(worldY / half);
+        const fx = worldX / half - wx0;
+        const fy = worldY / half - wy0;
+
+        let delta = 0;
+
+        // Tent weights of the 4 overlapping windows (sum to 1)
+        for (let j = 0; j <= 1; j++) {
+          for (let i = 0; i <= 1; i++) {
+            const weight = (i ? fx : 1 - fx) * (j ? fy : 1 - fy);
+            if (weight === 0) continue;
+
+            const win = this.getWindow(
+              wx0 + i,
+              wy0 + j,
+              worldSeed,
+              noiseFunctions,
+            );
+            const lx = worldX - win.originX;
+            const ly = worldY - win.originY;
+
+            delta += weight * win.delta[ly * win.size + lx];
+          }
+        }
+
+        deltas[x * chunkSize + y] = delta;
+      }
+    }
+
+    return deltas;
+  }
+
+  /**
+   * Clear all cached windows
+   */
+  clear() {
+    this.windows.clear();
+  }
+}
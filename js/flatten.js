@@ -0,0 +1,110 @@
+// =============================
+// TERRAIN FLATTENING
+// Level structure footprints and blend a skirt into the terrain
+// =============================
+
+import { CONFIG } from "./config.js";
+import { expandBox, boxContains } from "./bounds.js";
+
+/**
+ * Footprint tiles are set to the placement's flattenHeight (the mean
+ * footprint elevation, see placement.js). Tiles within
+ * FLATTEN_SKIRT_RADIUS of the footprint blend from that height back to
+ * the natural terrain with a smoothstep falloff. Weights depend only on
+ * the placement, so a skirt reaching into another chunk lines up exactly.
+ */
+
+/**
+ * Weight fields by placement (built on first use)
+ */
+const fieldCache = new WeakMap();
+
+/**
+ * Smoothstep (0-1)
+ * @param {number} t - Value (0-1)
+ * @returns {number} Eased value
+ */
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Area a placement's flattening touches (footprint box + skirt)
+ * @param {Object} placement - Structure placement ({ bounds })
+ * @returns {Object} Box
+ */
+export function getFlattenBounds(placement) {
+  return expandBox(placement.bounds, CONFIG.FLATTEN_SKIRT_RADIUS);
+}
+
+/**
+ * Flatten weight of every tile around a placement
+ * (1 = footprint, falling to 0 at the edge of the skirt)
+ * @param {Object} placement - Structure placement ({ x, y, template, bounds })
+ * @returns {Object} { box, height, weights: Float32Array }
+ *   (index = x * height + y inside the box)
+ */
+function getFlattenField(placement) {
+  if (fieldCache.has(placement)) return fieldCache.get(placement);
+
+  const radius = CONFIG.FLATTEN_SKIRT_RADIUS;
+  const box = getFlattenBounds(placement);
+  const width = box.maxX - box.minX + 1;
+  const height = box.maxY - box.minY + 1;
+  const weights = new Float32Array(width * height);
+
+  // Footprint tiles in world coordinates
+  const footprint = [];
+  placement.template.forEach((row, ty) => {
+    for (let tx = 0; tx < row.length; tx++) {
+      if (row[tx] !== ".") {
+        footprint.push([placement.x + tx, placement.y + ty]);
+      }
+    }
+  });
+
+  // Spread each footprint tile's influence over the skirt (nearest wins)
+  for (const [fx, fy] of footprint) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > radius) continue;
+
+        const weight = 1 - smoothstep(distance / (radius + 1));
+        const index = (fx + dx - box.minX) * height + (fy + dy - box.minY);
+
+        if (weight > weights[index]) weights[index] = weight;
+      }
+    }
+  }
+
+  const field = { box, height, weights };
+  fieldCache.set(placement, field);
+  return field;
+}
+
+/**
+ * Apply the flattening of nearby structures to one tile's elevation
+ * @param {number} elevation - Natural elevation
+ * @param {number} worldX - World tile X
+ * @param {number} worldY - World tile Y
+ * @param {Object[]} placements - Placements with a flattenHeight (stable
+ *   order, e.g. sorted by key)
+ * @returns {number} Flattened elevation
+ */
+export function flattenElevation(elevation, worldX, worldY, placements) {
+  for (const placement of placements) {
+    const field = getFlattenField(placement);
+    if (!boxContains(field.box, worldX, worldY)) continue;
+
+    const index =
+      (worldX - field.box.minX) * field.height + (worldY - field.box.minY);
+    const weight = field.weights[index];
+
+    if (weight > 0) {
+      elevation += (placement.flattenHeight - elevation) * weight;
+    }
+  }
+
+  return elevation;
+}
@@ -0,0 +1,653 @@
+// =============================
+// HIGHWAY NETWORK
+// A* roads linking neighbouring villages across chunks
+// =============================
+
+import { CONFIG } from "./config.js";
+import { BoundedMap } from "./cache.js";
+import { rollStructureCandidate, TEMPLATE_LEGEND } from "./structure.js";
+import { getLayerProperties } from "./layers.js";
+import { getStructureCenter } from "./registry.js";
+import { getVillageRoadTiles } from "./village.js";
+import { createFootprintSampler } from "./placement.js";
+import {
+  getChunkBounds,
+  expandBox,
+  boxesIntersect,
+  boxContains,
+} from "./bounds.js";
+
+/**
+ * Links: every placed village picks its HIGHWAY_LINKS nearest villages
+ * within HIGHWAY_LINK_RANGE grid cells and HIGHWAY_MAX_LENGTH tiles; two
+ * villages are linked when either one picks the other. With
+ * HIGHWAY_LINK_DUNGEONS, dungeons also get a spur to their nearest village.
+ *
+ * Routes: A* over a cost field (ground cost, slope, elevation, water)
+ * inside a corridor around the two endpoints, so a route only depends on
+ * its endpoints and the terrain between them. Water is crossed by bridges
+ * when going around costs more. Each link is routed by the grid cell
+ * (region) of its first endpoint, so chunks along the way share one route
+ * whichever of them asks first.
+ */
+
+/**
+ * 4-way neighbour offsets (fixed order keeps routes deterministic)
+ */
+const NEIGHBORS_4 = [
+  [0, -1],
+  [-1, 0],
+  [1, 0],
+  [0, 1],
+];
+
+/**
+ * Highway region key generator (one region per structure grid cell)
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @returns {string} Key
+ */
+export function getHighwayRegionKey(gridX, gridY) {
+  return `${gridX},${gridY}`;
+}
+
+/**
+ * Compare two grid cells (row, then column)
+ * @param {number[]} a - [gridX, gridY]
+ * @param {number[]} b - [gridX, gridY]
+ * @returns {number} < 0 when a comes first
+ */
+function compareCells(a, b) {
+  return a[1] !== b[1] ? a[1] - b[1] : a[0] - b[0];
+}
+
+/**
+ * Tile a highway starts/ends on: the dungeon entrance or the structure
+ * center (village plaza)
+ * @param {Object} placement - Structure placement
+ * @returns {Object} { x, y } world tile
+ */
+export function getHighwayEndpoint(placement) {
+  return placement.entrance || getStructureCenter(placement);
+}
+
+/**
+ * Check whether a structure type takes part in the highway network
+ * @param {string} type - Structure type
+ * @returns {boolean} Is linked
+ */
+function isLinkedType(type) {
+  return (
+    type === "village" || (type === "dungeon" && CONFIG.HIGHWAY_LINK_DUNGEONS)
+  );
+}
+
+/**
+ * Placed structure of a grid cell when its type is linked
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @param {StructureRegistry} registry - Structure registry
+ * @param {RiverNetwork|null} rivers - River cache
+ * @returns {Object|null} Placement
+ */
+function getLinkedStructure(
+  gridX,
+  gridY,
+  worldSeed,
+  noiseFunctions,
+  registry,
+  rivers,
+) {
+  // Cheap roll first, so empty cells are never resolved
+  const header = rollStructureCandidate(gridX, gridY, worldSeed);
+  if (!header || !isLinkedType(header.type)) return null;
+
+  const entry = registry.getCell(
+    gridX,
+    gridY,
+    worldSeed,
+    noiseFunctions,
+    rivers,
+  );
+  return entry && !entry.rejected ? entry : null;
+}
+
+/**
+ * Villages a structure picks to link to (nearest first)
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @param {StructureRegistry} registry - Structure registry
+ * @param {RiverNetwork|null} rivers - River cache
+ * @returns {Object[]} [{ gridX, gridY, placement, distance }]
+ */
+export function findHighwayPartners(
+  gridX,
+  gridY,
+  worldSeed,
+  noiseFunctions,
+  registry,
+  rivers = null,
+) {
+  const entry = getLinkedStructure(
+    gridX,
+    gridY,
+    worldSeed,
+    noiseFunctions,
+    registry,
+    rivers,
+  );
+  if (!entry) return [];
+
+  const from = getHighwayEndpoint(entry);
+  const range = CONFIG.HIGHWAY_LINK_RANGE;
+  const found = [];
+
+  for (let gy = gridY - range; gy <= gridY + range; gy++) {
+    for (let gx = gridX - range; gx <= gridX + range; gx++) {
+      if (gx === gridX && gy === gridY) continue;
+
+      const other = getLinkedStructure(
+        gx,
+        gy,
+        worldSeed,
+        noiseFunctions,
+        registry,
+        rivers,
+      );
+      if (!other || other.type !== "village") continue;
+
+      const to = getHighwayEndpoint(other);
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      if (distance > CONFIG.HIGHWAY_MAX_LENGTH) continue;
+
+      found.push({ gridX: gx, gridY: gy, placement: other, distance });
+    }
+  }
+
+  // Equal distances are broken by cell so the pick is stable
+  found.sort(
+    (a, b) =>
+      a.distance - b.distance ||
+      compareCells([a.gridX, a.gridY], [b.gridX, b.gridY]),
+  );
+
+  // Dungeons only get a spur to their nearest village
+  const limit = entry.type === "village" ? CONFIG.HIGHWAY_LINKS : 1;
+  return found.slice(0, limit);
+}
+
+/**
+ * Minimal binary heap of indices by priority (ties keep insertion order)
+ */
+class RouteQueue {
+  constructor() {
+    this.items = []; // [priority, order, index]
+    this.order = 0;
+  }
+
+  /**
+   * Number of queued entries
+   * @returns {number} Size
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Check whether entry a comes before entry b
+   * @param {number[]} a - Entry
+   * @param {number[]} b - Entry
+   * @returns {boolean} a first
+   */
+  before(a, b) {
+    return a[0] !== b[0] ? a[0] < b[0] : a[1] < b[1];
+  }
+
+  /**
+   * Add an index
+   * @param {number} index - Tile index
+   * @param {number} priority - Lower comes out first
+   */
+  push(index, priority) {
+    const items = this.items;
+    items.push([priority, this.order++, index]);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove the index with the lowest priority
+   * @returns {number} Tile index
+   */
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < items.length && this.before(items[left], items[smallest])) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          this.before(items[right], items[smallest])
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+
+    return top[2];
+  }
+}
+
+/**
+ * Ground movement cost by biome (looked up once per biome)
+ */
+const groundCosts = new Map();
+
+/**
+ * Ground movement cost of a biome
+ * @param {string} biome - Biome name
+ * @returns {number} Cost
+ */
+function getGroundCost(biome) {
+  if (!groundCosts.has(biome)) {
+    groundCosts.set(biome, getLayerProperties("ground", biome).movementCost);
+  }
+
+  return groundCosts.get(biome);
+}
+
+/**
+ * Cost of stepping onto a tile
+ * @param {Object} from - Terrain sample of the current tile
+ * @param {Object} to - Terrain sample of the next tile
+ * @param {boolean} onRoad - Next tile is an existing road
+ * @returns {number} Cost
+ */
+function getStepCost(from, to, onRoad) {
+  if (to.water) return CONFIG.HIGHWAY_BRIDGE_COST;
+
+  const ground = getGroundCost(to.biome);
+  const slope = Math.abs(to.elevation - from.elevation);
+  const cost =
+    ground +
+    slope * CONFIG.HIGHWAY_SLOPE_COST +
+    to.elevation * CONFIG.HIGHWAY_ELEVATION_COST;
+
+  return onRoad ? cost * CONFIG.HIGHWAY_ROAD_COST : cost;
+}
+
+/**
+ * Route a highway between two tiles with A*. The search stays inside
+ * HIGHWAY_CORRIDOR tiles around the endpoints; solid structure cells are
+ * avoided and existing roads (village streets) are cheap to follow.
+ * @param {Object} from - { x, y } world tile
+ * @param {Object} to - { x, y } world tile
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @param {StructureRegistry} registry - Structure registry
+ * @param {RiverNetwork|null} rivers - River cache (river tiles count as
+ *   water)
+ * @returns {Object|null} { path: [{ x, y, bridge }], bounds, cost }
+ *   (null = no way through the corridor)
+ */
+export function findHighwayRoute(
+  from,
+  to,
+  worldSeed,
+  noiseFunctions,
+  registry,
+  rivers = null,
+) {
+  const box = expandBox(
+    {
+      minX: Math.min(from.x, to.x),
+      minY: Math.min(from.y, to.y),
+      maxX: Math.max(from.x, to.x),
+      maxY: Math.max(from.y, to.y),
+    },
+    CONFIG.HIGHWAY_CORRIDOR,
+  );
+  const height = box.maxY - box.minY + 1;
+  const count = (box.maxX - box.minX + 1) * height;
+  const toIndex = (x, y) => (x - box.minX) * height + (y - box.minY);
+
+  // =============================
+  // STRUCTURES IN THE CORRIDOR
+  // =============================
+
+  const blocked = new Uint8Array(count);
+  const roads = new Uint8Array(count);
+
+  for (const placement of registry.getStructuresInBox(
+    box,
+    worldSeed,
+    noiseFunctions,
+    rivers,
+  )) {
+    const legend = placement.legend || TEMPLATE_LEGEND;
+
+    placement.template.forEach((row, ty) => {
+      for (let tx = 0; tx < row.length; tx++) {
+        const cell = legend[row[tx]];
+        const x = placement.x + tx;
+        const y = placement.y + ty;
+        if (!cell || !boxContains(box, x, y)) continue;
+
+        if (
+          cell.structure &&
+          getLayerProperties("structure", cell.structure).solid
+        ) {
+          blocked[toIndex(x, y)] = 1;
+        } else if (cell.overlay === "road") {
+          roads[toIndex(x, y)] = 1;
+        }
+      }
+    });
+
+    if (placement.type === "village") {
+      for (const key of getVillageRoadTiles(placement).keys()) {
+        const [x, y] = key.split(",").map(Number);
+        if (boxContains(box, x, y) && !blocked[toIndex(x, y)]) {
+          roads[toIndex(x, y)] = 1;
+        }
+      }
+    }
+  }
+
+  const start = toIndex(from.x, from.y);
+  const goal = toIndex(to.x, to.y);
+  blocked[start] = 0;
+  blocked[goal] = 0;
+
+  // =============================
+  // A* SEARCH
+  // =============================
+
+  const sample = createFootprintSampler(worldSeed, noiseFunctions, rivers);
+  const cost = new Float64Array(count).fill(Infinity);
+  const parent = new Int32Array(count).fill(-1);
+  const closed = new Uint8Array(count);
+  const open = new RouteQueue();
+
+  // Distance estimate on plain ground, weighted so the search heads for
+  // the goal instead of flooding the corridor
+  const estimate = (x, y) =>
+    (Math.abs(to.x - x) + Math.abs(to.y - y)) * CONFIG.HIGHWAY_HEURISTIC_WEIGHT;
+
+  cost[start] = 0;
+  open.push(start, estimate(from.x, from.y));
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (closed[current]) continue;
+    closed[current] = 1;
+    if (current === goal) break;
+
+    const x = box.minX + Math.floor(current / height);
+    const y = box.minY + (current % height);
+    const here = sample(x, y);
+
+    for (const [dx, dy] of NEIGHBORS_4) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (!boxContains(box, nx, ny)) continue;
+
+      const next = toIndex(nx, ny);
+      if (closed[next] || blocked[next]) continue;
+
+      const g =
+        cost[current] + getStepCost(here, sample(nx, ny), roads[next] === 1);
+
+      if (g < cost[next]) {
+        cost[next] = g;
+        parent[next] = current;
+        open.push(next, g + estimate(nx, ny));
+      }
+    }
+  }
+
+  if (cost[goal] === Infinity) return null;
+
+  // =============================
+  // PATH
+  // =============================
+
+  const path = [];
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+
+  for (let index = goal; index !== -1; index = parent[index]) {
+    const x = box.minX + Math.floor(index / height);
+    const y = box.minY + (index % height);
+
+    path.push({ x, y, bridge: sample(x, y).water });
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+
+  path.reverse();
+
+  return { path, bounds: { minX, minY, maxX, maxY }, cost: cost[goal] };
+}
+
+/**
+ * Route the highways owned by one grid cell (links to cells ordered after
+ * it, see compareCells)
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @param {StructureRegistry} registry - Structure registry
+ * @param {RiverNetwork|null} rivers - River cache
+ * @returns {Object[]} Routes { from, to, path, bounds, cost } (from/to =
+ *   structure keys)
+ */
+export function routeRegionHighways(
+  gridX,
+  gridY,
+  worldSeed,
+  noiseFunctions,
+  registry,
+  rivers = null,
+) {
+  const entry = getLinkedStructure(
+    gridX,
+    gridY,
+    worldSeed,
+    noiseFunctions,
+    registry,
+    rivers,
+  );
+  if (!entry) return [];
+
+  const partners = (gx, gy) =>
+    findHighwayPartners(gx, gy, worldSeed, noiseFunctions, registry, rivers);
+  const own = partners(gridX, gridY);
+  const range = CONFIG.HIGHWAY_LINK_RANGE;
+  const routes = [];
+
+  for (let gy = gridY - range; gy <= gridY + range; gy++) {
+    for (let gx = gridX - range; gx <= gridX + range; gx++) {
+      if (compareCells([gridX, gridY], [gx, gy]) >= 0) continue;
+
+      const other = getLinkedStructure(
+        gx,
+        gy,
+        worldSeed,
+        noiseFunctions,
+        registry,
+        rivers,
+      );
+      if (!other) continue;
+
+      // Linked when either end picked the other
+      const linked =
+        own.some((p) => p.gridX === gx && p.gridY === gy) ||
+        partners(gx, gy).some((p) => p.gridX === gridX && p.gridY === gridY);
+      if (!linked) continue;
+
+      const route = findHighwayRoute(
+        getHighwayEndpoint(entry),
+        getHighwayEndpoint(other),
+        worldSeed,
+        noiseFunctions,
+        registry,
+        rivers,
+      );
+
+      if (route) routes.push({ from: entry.key, to: other.key, ...route });
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Cache of routed highway regions
+ * Highways are a pure function of seed + structures; the cache only
+ * avoids re-routing the same links for every chunk they cross.
+ */
+export class HighwayNetwork {
+  constructor() {
+    this.regions = new BoundedMap(CONFIG.HIGHWAY_CACHE_LIMIT);
+  }
+
+  /**
+   * Get (or route) the highways owned by a grid cell
+   * @param {number} gridX - Grid cell X
+   * @param {number} gridY - Grid cell Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @param {StructureRegistry} registry - Structure registry
+   * @param {RiverNetwork|null} rivers - River cache
+   * @returns {Object[]} Routes (see routeRegionHighways)
+   */
+  getRegionHighways(
+    gridX,
+    gridY,
+    worldSeed,
+    noiseFunctions,
+    registry,
+    rivers = null,
+  ) {
+    const key = getHighwayRegionKey(gridX, gridY);
+
+    if (!this.regions.has(key)) {
+      this.regions.set(
+        key,
+        routeRegionHighways(
+          gridX,
+          gridY,
+          worldSeed,
+          noiseFunctions,
+          registry,
+          rivers,
+        ),
+      );
+    }
+
+    return this.regions.get(key);
+  }
+
+  /**
+   * Collect highway tiles that fall inside a chunk
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @param {StructureRegistry} registry - Structure registry
+   * @param {RiverNetwork|null} rivers - River cache
+   * @returns {Set<number>} localIndex = x * CHUNK_SIZE + y
+   */
+  getChunkHighwayTiles(
+    cx,
+    cy,
+    worldSeed,
+    noiseFunctions,
+    registry,
+    rivers = null,
+  ) {
+    const tiles = new Set();
+    if (!CONFIG.HIGHWAY_ENABLED) return tiles;
+
+    const size = CONFIG.CHUNK_SIZE;
+    const width = CONFIG.HIGHWAY_WIDTH;
+    const chunkBounds = getChunkBounds(cx, cy);
+
+    // Links span up to HIGHWAY_LINK_RANGE cells and their corridors stay
+    // within one more cell
+    const spacing = CONFIG.STRUCTURE_SPACING;
+    const gridX = Math.floor(cx / spacing);
+    const gridY = Math.floor(cy / spacing);
+    const reach = CONFIG.HIGHWAY_LINK_RANGE + 1;
+
+    for (let gy = gridY - reach; gy <= gridY + reach; gy++) {
+      for (let gx = gridX - reach; gx <= gridX + reach; gx++) {
+        const routes = this.getRegionHighways(
+          gx,
+          gy,
+          worldSeed,
+          noiseFunctions,
+          registry,
+          rivers,
+        );
+
+        for (const route of routes) {
+          if (!boxesIntersect(route.bounds, chunkBounds, width)) continue;
+
+          for (const p of route.path) {
+            for (let dx = -width; dx <= width; dx++) {
+              for (let dy = -width; dy <= width; dy++) {
+                const x = p.x + dx;
+                const y = p.y + dy;
+
+                if (boxContains(chunkBounds, x, y)) {
+                  tiles.add((x - cx * size) * size + (y - cy * size));
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Clear all routed regions
+   */
+  clear() {
+    this.regions.clear();
+  }
+}
@@ -0,0 +1,167 @@
+// =============================
+// TILE LAYERS
+// Ground, overlay, object and structure layers
+// =============================
+
+import { getBiome } from "./biome.js";
+import { SCATTER_OBJECTS } from "./scatter.js";
+import { STRUCTURE_TYPES } from "./structure.js";
+
+/**
+ * Layer order (bottom to top):
+ *   ground    - biome (grass, water, forest, ...)
+ *   overlay   - road, path, bridge, field, river painted over the ground
+ *   object    - scatter objects (tree, rock, flower)
+ *   structure - village / dungeon footprints
+ *
+ * Each layer value has { walkable, solid, movementCost }.
+ * The surface (overlay if present, otherwise ground) decides whether a
+ * tile can be stood on and its base cost; objects and structures multiply
+ * the cost and block movement when solid.
+ */
+export const TILE_LAYERS = ["ground", "overlay", "object", "structure"];
+
+/**
+ * Overlay types
+ */
+export const OVERLAY_TYPES = {
+  road: {
+    name: "road",
+    color: "#8b7355",
+    walkable: true,
+    solid: false,
+    movementCost: 0.5,
+  },
+  path: {
+    name: "path",
+    color: "#a68b6a",
+    walkable: true,
+    solid: false,
+    movementCost: 0.75,
+  },
+  bridge: {
+    name: "bridge",
+    color: "#6b4a2b",
+    walkable: true,
+    solid: false,
+    movementCost: 0.5,
+  },
+  field: {
+    name: "field",
+    color: "#c8b560",
+    walkable: true,
+    solid: false,
+    movementCost: 1.5,
+  },
+  river: {
+    name: "river",
+    color: "#4aa3df",
+    walkable: false,
+    solid: false,
+    movementCost: 1,
+  },
+};
+
+/**
+ * Properties used when a layer value has no definition
+ */
+const DEFAULT_LAYER_PROPERTIES = {
+  walkable: true,
+  solid: false,
+  movementCost: 1,
+};
+
+/**
+ * Get movement properties for one layer value
+ * @param {string} layer - Layer name (see TILE_LAYERS)
+ * @param {string|null} value - Biome / overlay / object / structure name
+ * @returns {Object|null} { walkable, solid, movementCost } (null = empty)
+ */
+export function getLayerProperties(layer, value) {
+  if (value === null) return null;
+
+  let def = null;
+
+  if (layer === "ground") def = getBiome(value);
+  else if (layer === "overlay") def = OVERLAY_TYPES[value];
+  else if (layer === "object") def = SCATTER_OBJECTS[value];
+  else if (layer === "structure") def = STRUCTURE_TYPES[value];
+
+  return { ...DEFAULT_LAYER_PROPERTIES, ...def };
+}
+
+/**
+ * Get the draw color for an overlay or structure value
+ * @param {string} layer - "overlay" or "structure"
+ * @param {string|null} value - Layer value
+ * @returns {string|null} Hex color (null = nothing to draw)
+ */
+export function getLayerColor(layer, value) {
+  if (value === null) return null;
+
+  const def =
+    layer === "overlay" ? OVERLAY_TYPES[value] : STRUCTURE_TYPES[value];
+  return def ? def.color : null;
+}
+
+/**
+ * Get the value of every layer of a tile
+ * @param {Tile} tile - Tile
+ * @returns {Object} { ground, overlay, object, structure }
+ */
+export function getTileLayers(tile) {
+  return {
+    ground: tile.biome,
+    overlay: tile.overlay,
+    object: tile.object,
+    structure: tile.structure,
+  };
+}
+
+/**
+ * Movement cost of a tile across all layers
+ * @param {Tile} tile - Tile
+ * @returns {number} Cost multiplier (Infinity = impassable)
+ */
+export function getMovementCost(tile) {
+  const surface =
+    getLayerProperties("overlay", tile.overlay) ||
+    getLayerProperties("ground", tile.biome);
+
+  if (!surface.walkable) return Infinity;
+
+  let cost = surface.movementCost;
+
+  for (const layer of ["object", "structure"]) {
+    const props = getLayerProperties(layer, tile[layer]);
+    if (!props) continue;
+    if (props.solid || !props.walkable) return Infinity;
+
+    cost *= props.movementCost;
+  }
+
+  return cost;
+}
+
+/**
+ * Check whether any layer of a tile is solid
+ * @param {Tile} tile - Tile
+ * @returns {boolean} Is solid
+ */
+export function isTileSolid(tile) {
+  const layers = getTileLayers(tile);
+
+  return TILE_LAYERS.some((layer) => {
+    const props = getLayerProperties(layer, layers[layer]);
+    return props !== null && props.solid;
+  });
+}
+
+/**
+ * Check whether a tile can be walked on (all layers considered)
+ * @param {Tile} tile - Tile
+ * @returns {boolean} Is walkable
+ */
+export function isTileWalkable(tile) {
+  return getMovementCost(tile) !== Infinity;
+}
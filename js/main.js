@@ -8,6 +8,9 @@ import { createSeededNoise } from "./noise.js";
 import { Camera, CameraInput } from "./camera.js";
 import { Renderer } from "./renderer.js";
 import { ChunkCache } from "./chunk.js";
+import { parseSeed } from "./seed.js";
+import { parseWorldHash, formatWorldHash } from "./urlstate.js";
+import { loadStructureTemplates } from "./templates.js";
 
 /**
  * Main Game Engine
@@ -26,15 +29,27 @@ class WorldGenerator {
     this.cameraInput = new CameraInput(this.camera);
     this.chunks = new ChunkCache();
 
+    // Shared link state (#seed=...&x=...&y=...&zoom=...)
+    const urlState = parseWorldHash(window.location.hash);
+
     // World state
-    this.worldSeed = CONFIG.WORLD_SEED;
+    // seedLabel is what the user typed, worldSeed is its numeric form
+    this.seedLabel = String(urlState.seed ?? CONFIG.WORLD_SEED);
+    this.worldSeed = parseSeed(this.seedLabel);
     this.noiseFunctions = this.createNoiseLayers(this.worldSeed);
     this.running = false;
 
+    this.applyViewState(urlState);
+    this.lastUrlHash = null;
+    this.lastUrlUpdate = 0;
+
     // Bind methods
     this.update = this.update.bind(this);
     this.render = this.render.bind(this);
     this.gameLoop = this.gameLoop.bind(this);
+    this.onHashChange = this.onHashChange.bind(this);
+
+    window.addEventListener("hashchange", this.onHashChange);
   }
 
   /**
@@ -44,10 +59,13 @@ class WorldGenerator {
    */
   createNoiseLayers(seed) {
     return {
-      elevation: createSeededNoise(seed, 1),
-      temperature: createSeededNoise(seed, 2),
-      humidity: createSeededNoise(seed, 3),
-      scatter: createSeededNoise(seed, 999),
+      elevation: createSeededNoise(seed, "elevation"),
+      temperature: createSeededNoise(seed, "temperature"),
+      humidity: createSeededNoise(seed, "humidity"),
+      scatter: createSeededNoise(seed, "scatter"),
+      river: createSeededNoise(seed, "river"),
+      continent: createSeededNoise(seed, "continent"),
+      ridge: createSeededNoise(seed, "ridge"),
     };
   }
 
@@ -56,7 +74,7 @@ class WorldGenerator {
    */
   init() {
     console.log(`🌍 Procedural World Generator initialized`);
-    console.log(`📍 Seed: ${this.worldSeed}`);
+    console.log(`📍 Seed: ${this.seedLabel}`);
     console.log(`📐 Chunk Size: ${CONFIG.CHUNK_SIZE} tiles`);
     console.log(`🎮 Controls: Arrow Keys or WASD to move`);
 
@@ -70,6 +88,76 @@ class WorldGenerator {
   update() {
     // Update camera from input
     this.cameraInput.update();
+
+    // Keep the shareable link in sync with the view
+    this.syncUrlState();
+  }
+
+  /**
+   * Apply camera position/zoom from parsed URL state
+   * @param {Object} state - { x, y, zoom } (null fields are ignored)
+   */
+  applyViewState(state) {
+    if (state.zoom !== null) {
+      this.camera.setZoom(state.zoom);
+    }
+
+    if (state.x !== null && state.y !== null) {
+      this.camera.centerOnTile(
+        state.x,
+        state.y,
+        CONFIG.TILE_SIZE,
+        CONFIG.CANVAS_WIDTH,
+        CONFIG.CANVAS_HEIGHT,
+      );
+    }
+  }
+
+  /**
+   * Build the URL hash for the current seed and view
+   * @returns {string} Hash string
+   */
+  getShareHash() {
+    const center = this.camera.getCenterTile(
+      CONFIG.TILE_SIZE,
+      CONFIG.CANVAS_WIDTH,
+      CONFIG.CANVAS_HEIGHT,
+    );
+
+    return formatWorldHash({
+      seed: this.seedLabel,
+      x: center.x,
+      y: center.y,
+      zoom: this.camera.getZoom(),
+    });
+  }
+
+  /**
+   * Write the current state to the URL hash (throttled, no history spam)
+   */
+  syncUrlState() {
+    const now = performance.now();
+    if (now - this.lastUrlUpdate < CONFIG.URL_UPDATE_INTERVAL) return;
+    this.lastUrlUpdate = now;
+
+    const hash = this.getShareHash();
+    if (hash === this.lastUrlHash) return;
+
+    this.lastUrlHash = hash;
+    history.replaceState(null, "", hash);
+  }
+
+  /**
+   * Handle a hash edited by hand or a pasted link
+   */
+  onHashChange() {
+    const state = parseWorldHash(window.location.hash);
+
+    if (state.seed !== null && state.seed !== this.seedLabel) {
+      this.regenerateWorld(state.seed);
+    }
+
+    this.applyViewState(state);
   }
 
   /**
@@ -97,7 +185,7 @@ class WorldGenerator {
     const tileX = Math.floor(pos.x / CONFIG.TILE_SIZE);
     const tileY = Math.floor(pos.y / CONFIG.TILE_SIZE);
 
-    const debugText = `Seed: ${this.worldSeed} | Chunk: [${chunkX}, ${chunkY}] | Tile: [${tileX}, ${tileY}]`;
+    const debugText = `Seed: ${this.seedLabel} | Zoom: ${this.camera.getZoom().toFixed(2)} | Chunk: [${chunkX}, ${chunkY}] | Tile: [${tileX}, ${tileY}]`;
 
     this.renderer.drawText(debugText, 10, 20, {
       color: "#ffffff",
@@ -120,14 +208,73 @@ class WorldGenerator {
 
   /**
    * Regenerate world with new seed
-   * @param {number} newSeed - New seed value
+   * @param {number|string} newSeed - New seed value (number or text)
    */
   regenerateWorld(newSeed) {
-    this.worldSeed = newSeed;
-    this.noiseFunctions = this.createNoiseLayers(newSeed);
+    this.seedLabel = String(newSeed);
+    this.worldSeed = parseSeed(newSeed);
+    this.noiseFunctions = this.createNoiseLayers(this.worldSeed);
     this.chunks.clear();
 
-    console.log(`🔄 World regenerated with seed: ${newSeed}`);
+    console.log(`🔄 World regenerated with seed: ${this.seedLabel}`);
+  }
+
+  /**
+   * Find the closest structure of a type without generating chunks
+   * @param {string} type - Structure type ("village", "dungeon")
+   * @param {number} fromTileX - World tile X
+   * @param {number} fromTileY - World tile Y
+   * @param {number} maxRadius - Search radius in tiles
+   * @returns {Object|null} { key, type, x, y, distance, placement }
+   *   (x/y = world tile; null = none within the radius)
+   */
+  locateStructure(
+    type,
+    fromTileX,
+    fromTileY,
+    maxRadius = CONFIG.STRUCTURE_LOCATE_RADIUS,
+  ) {
+    return this.chunks.locateStructure(
+      type,
+      fromTileX,
+      fromTileY,
+      maxRadius,
+      this.worldSeed,
+      this.noiseFunctions,
+    );
+  }
+
+  /**
+   * Move the camera to the closest structure of a type
+   * @param {string} type - Structure type ("village", "dungeon")
+   * @param {number} maxRadius - Search radius in tiles
+   * @returns {Object|null} Located structure (see locateStructure)
+   */
+  goToStructure(type, maxRadius = CONFIG.STRUCTURE_LOCATE_RADIUS) {
+    const center = this.camera.getCenterTile(
+      CONFIG.TILE_SIZE,
+      CONFIG.CANVAS_WIDTH,
+      CONFIG.CANVAS_HEIGHT,
+    );
+    const found = this.locateStructure(type, center.x, center.y, maxRadius);
+
+    if (!found) {
+      console.log(`🔍 No ${type} within ${maxRadius} tiles`);
+      return null;
+    }
+
+    this.camera.centerOnTile(
+      found.x + 0.5,
+      found.y + 0.5,
+      CONFIG.TILE_SIZE,
+      CONFIG.CANVAS_WIDTH,
+      CONFIG.CANVAS_HEIGHT,
+    );
+
+    console.log(
+      `🔍 ${type} at [${found.x}, ${found.y}], ${Math.round(found.distance)} tiles away`,
+    );
+    return found;
   }
 
   /**
@@ -135,6 +282,7 @@ class WorldGenerator {
    */
   stop() {
     this.running = false;
+    window.removeEventListener("hashchange", this.onHashChange);
   }
 
   /**
@@ -142,10 +290,16 @@ class WorldGenerator {
    * @returns {Object} Stats
    */
   getStats() {
+    const memory = this.chunks.getMemoryUsage();
+
     return {
-      seed: this.worldSeed,
-      loadedChunks: Object.keys(this.chunks.getActiveChunks()).length,
+      seed: this.seedLabel,
+      numericSeed: this.worldSeed,
+      loadedChunks: memory.chunks,
+      chunkMemoryKB: Math.round(memory.bytes / 1024),
       cameraPosition: this.camera.getPosition(),
+      zoom: this.camera.getZoom(),
+      shareUrl: `${window.location.origin}${window.location.pathname}${this.getShareHash()}`,
     };
   }
 }
@@ -156,7 +310,15 @@ class WorldGenerator {
 
 let worldGenerator = null;
 
-window.addEventListener("DOMContentLoaded", () => {
+window.addEventListener("DOMContentLoaded", async () => {
+  // Template files must be registered before the first chunk is generated
+  const templates = await loadStructureTemplates();
+  console.log(`🏛️ Structure templates loaded: ${templates.loaded.length}`);
+
+  for (const error of templates.errors) {
+    console.warn(`Structure template skipped: ${error}`);
+  }
+
   worldGenerator = new WorldGenerator();
   worldGenerator.init();
 
@@ -165,8 +327,9 @@ window.addEventListener("DOMContentLoaded", () => {
 
   // Console commands
   console.log("Available commands:");
-  console.log("  worldGenerator.regenerateWorld(seed)");
+  console.log('  worldGenerator.regenerateWorld(seed)  // number or text, e.g. "mossy-coast"');
   console.log("  worldGenerator.getStats()");
+  console.log('  worldGenerator.goToStructure(type)  // "village" or "dungeon"');
   console.log("  worldGenerator.stop()");
 });
 
@@ -2,18 +2,94 @@
 // NOISE GENERATION SYSTEM
 // =============================
 
-import { createNoise2D } from "https://cdn.jsdelivr.net/npm/simplex-noise@4.0.1/dist/esm/simplex-noise.js";
-import { createSeededRandom } from "./seed.js";
+import { CONFIG } from "./config.js";
+import { forkRandom } from "./seed.js";
+import { getNoiseBackend } from "./backends.js";
 
 /**
- * Create seeded Simplex noise function
+ * Create seeded noise function
  * @param {number} seed - World seed
- * @param {number} seedOffset - Offset for layer variety
+ * @param {string} layer - Layer name, used to derive an independent sub-seed
+ * @param {string} backend - Backend name (simplex, perlin, value)
  * @returns {Function} Noise function (x, y) => value
  */
-export function createSeededNoise(seed, seedOffset = 0) {
-  const rng = createSeededRandom(seed + seedOffset);
-  return createNoise2D(rng);
+export function createSeededNoise(
+  seed,
+  layer = "default",
+  backend = CONFIG.NOISE_BACKEND,
+) {
+  const rng = forkRandom(seed, "noise", layer);
+  return getNoiseBackend(backend)(rng);
+}
+
+/**
+ * Fractal noise variants
+ * fbm    = classic fractal Brownian motion (smooth hills)
+ * ridged = inverted absolute noise (sharp crests, mountain chains)
+ * billow = absolute noise (puffy, rounded shapes)
+ */
+export const FRACTAL_TYPES = {
+  FBM: "fbm",
+  RIDGED: "ridged",
+  BILLOW: "billow",
+};
+
+/**
+ * Per-octave coordinate shift so octaves don't line up at the origin
+ */
+const OCTAVE_OFFSET = 17.31;
+
+/**
+ * Sample fractal (multi-octave) noise
+ * @param {Function} noiseFn - Noise function (x, y) => -1..1
+ * @param {number} x - X coordinate (already scaled)
+ * @param {number} y - Y coordinate (already scaled)
+ * @param {Object} options - { type, octaves, lacunarity, persistence }
+ * @returns {number} Fractal noise value (-1 to 1)
+ */
+export function getFractalNoise(noiseFn, x, y, options = {}) {
+  const type = options.type || FRACTAL_TYPES.FBM;
+  const octaves = Math.max(1, Math.floor(options.octaves || 1));
+  const lacunarity = options.lacunarity || 2;
+  const persistence = options.persistence || 0.5;
+
+  let frequency = 1;
+  let amplitude = 1;
+  let total = 0;
+  let maxAmplitude = 0;
+
+  // Ridged weighting: detail is concentrated on the crests
+  let weight = 1;
+
+  for (let i = 0; i < octaves; i++) {
+    const offset = i * OCTAVE_OFFSET;
+    const n = noiseFn(x * frequency + offset, y * frequency + offset);
+
+    if (type === FRACTAL_TYPES.RIDGED) {
+      let signal = 1 - Math.abs(n);
+      signal *= signal;
+      signal *= weight;
+      weight = Math.min(1, Math.max(0, signal * 2));
+      total += signal * amplitude;
+    } else if (type === FRACTAL_TYPES.BILLOW) {
+      total += (Math.abs(n) * 2 - 1) * amplitude;
+    } else {
+      total += n * amplitude;
+    }
+
+    maxAmplitude += amplitude;
+    frequency *= lacunarity;
+    amplitude *= persistence;
+  }
+
+  const value = total / maxAmplitude;
+
+  // Ridged sums are 0..1, remap to the shared -1..1 range
+  if (type === FRACTAL_TYPES.RIDGED) {
+    return value * 2 - 1;
+  }
+
+  return value;
 }
 
 /**
@@ -22,11 +98,11 @@ export function createSeededNoise(seed, seedOffset = 0) {
  * @param {number} x - X coordinate
  * @param {number} y - Y coordinate
  * @param {number} scale - Noise scale
+ * @param {Object} layer - Fractal settings { type, octaves, lacunarity, persistence }
  * @returns {number} Blended noise value (-1 to 1)
  */
-export function getMultiLayerNoise(noiseFn, x, y, scale) {
-  const value = noiseFn(x * scale, y * scale);
-  return value;
+export function getMultiLayerNoise(noiseFn, x, y, scale, layer = {}) {
+  return getFractalNoise(noiseFn, x * scale, y * scale, layer);
 }
 
 /**
@@ -0,0 +1,285 @@
+// =============================
+// STRUCTURE PLACEMENT RULES
+// Whole-footprint checks before a structure is committed
+// =============================
+
+import { CONFIG } from "./config.js";
+import { forkRandom } from "./seed.js";
+import { classifyBiome } from "./biome.js";
+import { sampleTerrain } from "./terrain.js";
+import { canPlaceStructure } from "./structure.js";
+import { expandBox } from "./bounds.js";
+
+/**
+ * Rule format (per structure type, templates can override with `rules`):
+ * {
+ *   minBiomeShare: 0.9,        // Footprint tiles on biomes allowing the type
+ *   maxElevationRange: 0.35,   // Highest - lowest footprint elevation
+ *   maxSlope: 0.2,             // Largest step between neighbouring tiles
+ *   minWaterDistance: 2,       // Tiles of land between footprint and water
+ *                              // (footprint tiles are never allowed on water)
+ *   minStructureDistance: 6,   // Tiles kept free to other structures
+ *   rarity: { forest: 0.5 },   // Spawn chance multiplier by center biome
+ *   flatten: true,             // Level the footprint (see flatten.js)
+ * }
+ */
+
+/**
+ * Rules used when a type doesn't define one
+ */
+export const DEFAULT_PLACEMENT_RULES = {
+  minBiomeShare: 0.8,
+  maxElevationRange: 0.4,
+  maxSlope: 0.25,
+  minWaterDistance: 0,
+  minStructureDistance: CONFIG.STRUCTURE_MIN_GAP,
+  rarity: {},
+  flatten: false,
+};
+
+/**
+ * Placement rules by structure type
+ */
+export const STRUCTURE_RULES = {
+  village: {
+    minBiomeShare: 0.9,
+    maxElevationRange: 0.35,
+    maxSlope: 0.2,
+    minWaterDistance: 1,
+    minStructureDistance: 6,
+    rarity: { forest_edge: 0.6 },
+    flatten: true,
+  },
+  dungeon: {
+    minBiomeShare: 0.6,
+    maxElevationRange: 0.5,
+    maxSlope: 0.3,
+    minWaterDistance: 0,
+    minStructureDistance: 2,
+    rarity: { grass: 0.5 },
+  },
+};
+
+/**
+ * Rules for a placement (type rules + template overrides)
+ * @param {Object} placement - Structure placement ({ type, rules? })
+ * @returns {Object} Rules
+ */
+export function getPlacementRules(placement) {
+  return {
+    ...DEFAULT_PLACEMENT_RULES,
+    ...STRUCTURE_RULES[placement.type],
+    ...placement.rules,
+  };
+}
+
+/**
+ * Terrain sampler shared by every footprint check of one candidate, so
+ * nudged positions reuse the tiles they overlap.
+ * Samples the terrain before erosion on purpose: eroded heights need
+ * whole erosion windows (see erosion.js), which would make resolving a
+ * structure as costly as generating its chunks. generateChunk keeps
+ * footprints off the erosion change and fades it back in around them
+ * (EROSION_FOOTPRINT_MARGIN), so the stamped surface is the one checked.
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @param {RiverNetwork|null} rivers - River cache (null = ignore rivers)
+ * @returns {Function} (x, y) => { elevation, biome, water }
+ */
+export function createFootprintSampler(worldSeed, noiseFunctions, rivers) {
+  const samples = new Map();
+  const riverChunks = new Map();
+  const size = CONFIG.CHUNK_SIZE;
+
+  const isRiverTile = (x, y) => {
+    if (!rivers) return false;
+
+    const cx = Math.floor(x / size);
+    const cy = Math.floor(y / size);
+    const key = `${cx},${cy}`;
+
+    if (!riverChunks.has(key)) {
+      riverChunks.set(
+        key,
+        rivers.getChunkRiverTiles(cx, cy, worldSeed, noiseFunctions),
+      );
+    }
+
+    const tiles = riverChunks.get(key);
+    const localIndex = (x - cx * size) * size + (y - cy * size);
+    return tiles.lakes.has(localIndex) || tiles.flow.has(localIndex);
+  };
+
+  return (x, y) => {
+    const key = `${x},${y}`;
+
+    if (!samples.has(key)) {
+      const { elevation, temperature, humidity } = sampleTerrain(
+        x,
+        y,
+        noiseFunctions,
+      );
+      const biome = classifyBiome(elevation, temperature, humidity);
+
+      samples.set(key, {
+        elevation,
+        biome,
+        water: biome === "water" || isRiverTile(x, y),
+      });
+    }
+
+    return samples.get(key);
+  };
+}
+
+/**
+ * Check a whole structure footprint against its placement rules
+ * @param {Object} placement - Structure placement ({ key, type, x, y,
+ *   template, bounds })
+ * @param {Function} sample - Terrain sampler (see createFootprintSampler)
+ * @param {number} worldSeed - World seed (rarity roll)
+ * @returns {Object} { accepted, reasons, stats } (reasons = why it was
+ *   rejected, for debugging)
+ */
+export function evaluatePlacement(placement, sample, worldSeed) {
+  const rules = getPlacementRules(placement);
+  const reasons = [];
+  const { template, bounds } = placement;
+
+  // =============================
+  // FOOTPRINT TILES
+  // =============================
+
+  let tiles = 0;
+  let allowed = 0;
+  let onWater = 0;
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+  let maxSlope = 0;
+  let totalElevation = 0;
+
+  const inFootprint = (x, y) => {
+    const row = template[y - placement.y];
+    return (
+      row !== undefined &&
+      row[x - placement.x] !== undefined &&
+      row[x - placement.x] !== "."
+    );
+  };
+
+  for (let y = bounds.minY; y <= bounds.maxY; y++) {
+    for (let x = bounds.minX; x <= bounds.maxX; x++) {
+      if (!inFootprint(x, y)) continue;
+
+      const s = sample(x, y);
+      tiles++;
+
+      if (s.water) onWater++;
+      if (canPlaceStructure(placement.type, s.biome, s.water)) allowed++;
+
+      totalElevation += s.elevation;
+      minElevation = Math.min(minElevation, s.elevation);
+      maxElevation = Math.max(maxElevation, s.elevation);
+
+      // Steps to the right/lower neighbours (each pair checked once)
+      for (const [nx, ny] of [
+        [x + 1, y],
+        [x, y + 1],
+      ]) {
+        if (inFootprint(nx, ny)) {
+          const step = Math.abs(sample(nx, ny).elevation - s.elevation);
+          maxSlope = Math.max(maxSlope, step);
+        }
+      }
+    }
+  }
+
+  const biomeShare = tiles > 0 ? allowed / tiles : 0;
+  const elevationRange = maxElevation - minElevation;
+
+  if (onWater > 0) {
+    reasons.push(`${onWater} footprint tiles on water`);
+  }
+
+  if (biomeShare < rules.minBiomeShare) {
+    reasons.push(
+      `biome share ${biomeShare.toFixed(2)} < ${rules.minBiomeShare}`,
+    );
+  }
+
+  if (elevationRange > rules.maxElevationRange) {
+    reasons.push(
+      `elevation range ${elevationRange.toFixed(3)} > ${rules.maxElevationRange}`,
+    );
+  }
+
+  if (maxSlope > rules.maxSlope) {
+    reasons.push(`slope ${maxSlope.toFixed(3)} > ${rules.maxSlope}`);
+  }
+
+  // =============================
+  // DISTANCE TO WATER
+  // =============================
+
+  let waterDistance = Infinity;
+
+  if (onWater === 0 && rules.minWaterDistance > 0) {
+    const area = expandBox(bounds, rules.minWaterDistance);
+
+    for (let y = area.minY; y <= area.maxY; y++) {
+      for (let x = area.minX; x <= area.maxX; x++) {
+        if (!sample(x, y).water) continue;
+
+        // Land tiles between the footprint box and the water (0 = touching,
+        // also used for water in the box padding)
+        const dx = Math.max(bounds.minX - x, 0, x - bounds.maxX);
+        const dy = Math.max(bounds.minY - y, 0, y - bounds.maxY);
+        waterDistance = Math.min(waterDistance, Math.max(dx, dy, 1) - 1);
+      }
+    }
+
+    if (waterDistance < rules.minWaterDistance) {
+      reasons.push(
+        `water ${waterDistance} tiles away < ${rules.minWaterDistance}`,
+      );
+    }
+  }
+
+  // =============================
+  // RARITY PER BIOME
+  // =============================
+
+  const centerBiome = sample(
+    Math.floor((bounds.minX + bounds.maxX) / 2),
+    Math.floor((bounds.minY + bounds.maxY) / 2),
+  ).biome;
+  const rarity = rules.rarity[centerBiome] ?? 1;
+
+  // Rolled once per candidate so nudging can't re-roll it
+  if (rarity < 1) {
+    const roll = forkRandom(
+      worldSeed,
+      "structure-rarity",
+      placement.cx,
+      placement.cy,
+    )();
+
+    if (roll >= rarity) {
+      reasons.push(`too rare in ${centerBiome} (chance ${rarity})`);
+    }
+  }
+
+  return {
+    accepted: reasons.length === 0,
+    reasons,
+    stats: {
+      tiles,
+      biomeShare,
+      elevationRange,
+      meanElevation: tiles > 0 ? totalElevation / tiles : 0,
+      maxSlope,
+      waterDistance,
+      centerBiome,
+    },
+  };
+}
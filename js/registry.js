@@ -0,0 +1,318 @@
+// =============================
+// STRUCTURE REGISTRY
+// Structure placements as a pure function of seed + grid cell
+// =============================
+
+import { CONFIG } from "./config.js";
+import { BoundedMap } from "./cache.js";
+import { deriveSeed } from "./seed.js";
+import { rollStructureCandidate } from "./structure.js";
+import { buildStructurePlacement } from "./templates.js";
+import { buildVillagePlacement } from "./village.js";
+import { boxesIntersect } from "./bounds.js";
+import { resolveCollision } from "./collision.js";
+import {
+  getPlacementRules,
+  createFootprintSampler,
+  evaluatePlacement,
+} from "./placement.js";
+
+/**
+ * Every STRUCTURE_SPACING grid cell has at most one candidate. Whether it
+ * is placed (and where) only depends on the seed and its neighbours:
+ * 1. Each cell gets a seeded priority.
+ * 2. A candidate is fitted (nudged, rule-checked) against the final
+ *    placements of the neighbouring candidates with a higher priority, and
+ *    ignores lower ones (they fit around it instead).
+ * Priorities strictly increase along that dependency chain, so it always
+ * ends, and the answer is the same whichever chunk asks first. The cache
+ * only saves work: entries can be dropped and recomputed at any time.
+ */
+
+/**
+ * Grid cell key
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @returns {string} Key
+ */
+function getCellKey(gridX, gridY) {
+  return `${gridX},${gridY}`;
+}
+
+/**
+ * Seeded priority of a grid cell (higher wins collisions)
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @param {number} worldSeed - World seed
+ * @returns {number} Priority
+ */
+export function getStructurePriority(gridX, gridY, worldSeed) {
+  return deriveSeed(worldSeed, "structure-priority", gridX, gridY);
+}
+
+/**
+ * Check whether cell a outranks cell b (coordinates break ties)
+ * @param {number[]} a - [gridX, gridY]
+ * @param {number[]} b - [gridX, gridY]
+ * @param {number} worldSeed - World seed
+ * @returns {boolean} a has the higher priority
+ */
+function outranks(a, b, worldSeed) {
+  const pa = getStructurePriority(a[0], a[1], worldSeed);
+  const pb = getStructurePriority(b[0], b[1], worldSeed);
+  if (pa !== pb) return pa > pb;
+
+  return a[1] !== b[1] ? a[1] < b[1] : a[0] < b[0];
+}
+
+/**
+ * Point a structure is located at: the village center, otherwise the
+ * middle of its footprint box
+ * @param {Object} placement - Structure placement
+ * @returns {Object} { x, y } world tile
+ */
+export function getStructureCenter(placement) {
+  if (placement.centerX !== undefined) {
+    return { x: placement.centerX, y: placement.centerY };
+  }
+
+  const { bounds } = placement;
+  return {
+    x: Math.floor((bounds.minX + bounds.maxX) / 2),
+    y: Math.floor((bounds.minY + bounds.maxY) / 2),
+  };
+}
+
+/**
+ * Resolved structure placements by grid cell
+ */
+export class StructureRegistry {
+  constructor() {
+    this.cells = new BoundedMap(CONFIG.STRUCTURE_CACHE_LIMIT); // "gx,gy" -> entry | null (no candidate)
+  }
+
+  /**
+   * Get (or resolve) the structure of one grid cell
+   * @param {number} gridX - Grid cell X
+   * @param {number} gridY - Grid cell Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @param {RiverNetwork|null} rivers - River cache (water distance)
+   * @returns {Object|null} Placement, rejected entry ({ rejected, reasons,
+   *   blockedBy }) or null when the cell has no candidate
+   */
+  getCell(gridX, gridY, worldSeed, noiseFunctions, rivers = null) {
+    const key = getCellKey(gridX, gridY);
+
+    if (!this.cells.has(key)) {
+      const entry = this.resolveCell(
+        gridX,
+        gridY,
+        worldSeed,
+        noiseFunctions,
+        rivers,
+      );
+      this.cells.set(key, entry);
+    }
+
+    return this.cells.get(key);
+  }
+
+  /**
+   * Roll a cell's candidate, build its layout and fit it among the
+   * higher-priority neighbours. Positions are nudged until one is
+   * collision-free and passes the footprint rules (placement.js),
+   * otherwise the candidate is rejected with its reasons.
+   * @param {number} gridX - Grid cell X
+   * @param {number} gridY - Grid cell Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @param {RiverNetwork|null} rivers - River cache
+   * @returns {Object|null} Entry (see getCell)
+   */
+  resolveCell(gridX, gridY, worldSeed, noiseFunctions, rivers) {
+    const header = rollStructureCandidate(gridX, gridY, worldSeed);
+    if (!header) return null;
+
+    // Villages are assembled from pieces, other structures use a
+    // registered template
+    const candidate =
+      header.type === "village"
+        ? buildVillagePlacement(header, worldSeed, noiseFunctions)
+        : buildStructurePlacement(header, worldSeed, noiseFunctions);
+
+    if (!candidate) {
+      return {
+        ...header,
+        rejected: true,
+        blockedBy: [],
+        reasons: ["no layout fits the terrain"],
+      };
+    }
+
+    // Final placements of the neighbours this candidate must avoid
+    const placed = [];
+
+    for (let gy = gridY - 1; gy <= gridY + 1; gy++) {
+      for (let gx = gridX - 1; gx <= gridX + 1; gx++) {
+        if (gx === gridX && gy === gridY) continue;
+        if (!rollStructureCandidate(gx, gy, worldSeed)) continue;
+        if (!outranks([gx, gy], [gridX, gridY], worldSeed)) continue;
+
+        const other = this.getCell(gx, gy, worldSeed, noiseFunctions, rivers);
+        if (other && !other.rejected) placed.push(other);
+      }
+    }
+
+    const rules = getPlacementRules(candidate);
+    const sample = createFootprintSampler(worldSeed, noiseFunctions, rivers);
+    const result = resolveCollision(
+      candidate,
+      placed,
+      rules.minStructureDistance,
+      (placement) => evaluatePlacement(placement, sample, worldSeed),
+    );
+
+    if (result.placement) {
+      // Flatten to the mean height of the natural footprint terrain
+      const { stats } = result.evaluation;
+
+      return rules.flatten
+        ? { ...result.placement, flattenHeight: stats.meanElevation }
+        : result.placement;
+    }
+
+    const blockedBy = result.blockedBy.map((p) => p.key);
+
+    return {
+      ...candidate,
+      rejected: true,
+      blockedBy,
+      reasons:
+        result.reasons.length > 0
+          ? result.reasons
+          : [`too close to ${blockedBy.join(" / ")}`],
+    };
+  }
+
+  /**
+   * Placed structures whose box overlaps an area. Evaluates the grid
+   * cells around the area directly, so the answer doesn't depend on what
+   * was generated before.
+   * @param {Object} box - World tile box
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @param {RiverNetwork|null} rivers - River cache
+   * @returns {Object[]} Placements sorted by key (stable across chunks)
+   */
+  getStructuresInBox(box, worldSeed, noiseFunctions, rivers = null) {
+    const cellTiles = CONFIG.STRUCTURE_SPACING * CONFIG.CHUNK_SIZE;
+    const minGX = Math.floor(box.minX / cellTiles) - 1;
+    const maxGX = Math.floor(box.maxX / cellTiles) + 1;
+    const minGY = Math.floor(box.minY / cellTiles) - 1;
+    const maxGY = Math.floor(box.maxY / cellTiles) + 1;
+    const found = [];
+
+    for (let gy = minGY; gy <= maxGY; gy++) {
+      for (let gx = minGX; gx <= maxGX; gx++) {
+        const entry = this.getCell(gx, gy, worldSeed, noiseFunctions, rivers);
+
+        if (entry && !entry.rejected && boxesIntersect(entry.bounds, box)) {
+          found.push(entry);
+        }
+      }
+    }
+
+    return found.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  /**
+   * Closest placed structure of a type. Grid cells are searched in square
+   * rings around the start; only cells whose cheap candidate roll has the
+   * type are resolved, so no chunk is generated. The search stops once no
+   * further ring can hold anything closer.
+   * @param {string} type - Structure type ("village", "dungeon")
+   * @param {number} fromX - World tile X
+   * @param {number} fromY - World tile Y
+   * @param {number} maxRadius - Search radius in tiles
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @param {RiverNetwork|null} rivers - River cache
+   * @returns {Object|null} { key, type, x, y, distance, placement }
+   *   (x/y = world tile, see getStructureCenter; null = none in range)
+   */
+  findNearest(
+    type,
+    fromX,
+    fromY,
+    maxRadius,
+    worldSeed,
+    noiseFunctions,
+    rivers = null,
+  ) {
+    const cellTiles = CONFIG.STRUCTURE_SPACING * CONFIG.CHUNK_SIZE;
+    const startX = Math.floor(fromX / cellTiles);
+    const startY = Math.floor(fromY / cellTiles);
+
+    // Nudging can move a structure out of its grid cell
+    const slack = CONFIG.STRUCTURE_NUDGE_STEP * CONFIG.STRUCTURE_NUDGE_RINGS;
+    const maxRing = Math.ceil((maxRadius + slack) / cellTiles) + 1;
+    let best = null;
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Closest any structure of this ring can be
+      const nearest = (ring - 1) * cellTiles - slack;
+      if (best && nearest > best.distance) break;
+
+      for (let gy = startY - ring; gy <= startY + ring; gy++) {
+        for (let gx = startX - ring; gx <= startX + ring; gx++) {
+          const onRing =
+            Math.max(Math.abs(gx - startX), Math.abs(gy - startY)) === ring;
+          if (!onRing) continue;
+
+          const header = rollStructureCandidate(gx, gy, worldSeed);
+          if (!header || header.type !== type) continue;
+
+          const entry = this.getCell(gx, gy, worldSeed, noiseFunctions, rivers);
+          if (!entry || entry.rejected) continue;
+
+          const center = getStructureCenter(entry);
+          const distance = Math.hypot(center.x - fromX, center.y - fromY);
+          if (distance > maxRadius) continue;
+
+          // Equal distances are broken by key so the answer is stable
+          if (
+            !best ||
+            distance < best.distance ||
+            (distance === best.distance && entry.key < best.key)
+          ) {
+            best = {
+              key: entry.key,
+              type,
+              ...center,
+              distance,
+              placement: entry,
+            };
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Entries resolved so far (placed and rejected), for debugging
+   * @returns {Object[]} Entries
+   */
+  getEntries() {
+    return [...this.cells.values()].filter((entry) => entry !== null);
+  }
+
+  /**
+   * Forget all resolved cells
+   */
+  clear() {
+    this.cells.clear();
+  }
+}
@@ -3,8 +3,20 @@
 // =============================
 
 import { CONFIG } from "./config.js";
-import { getBiomeColor } from "./biome.js";
+import { getBlendedBiomeColor } from "./biome.js";
 import { getObjectColor, getObjectProperties } from "./scatter.js";
+import { getLayerColor } from "./layers.js";
+import {
+  AUTOTILE_GROUPS,
+  MASK_N,
+  MASK_NE,
+  MASK_E,
+  MASK_SE,
+  MASK_S,
+  MASK_SW,
+  MASK_W,
+  MASK_NW,
+} from "./autotile.js";
 
 /**
  * Renderer for world visualization
@@ -34,17 +46,85 @@ export class Renderer {
    * @param {number} screenX - Screen X
    * @param {number} screenY - Screen Y
    * @param {number} tileSize - Tile size
+   * @param {Object} autotile - Chunk auto-tile masks (optional)
    */
-  drawTile(tile, screenX, screenY, tileSize) {
-    // Draw biome background
-    this.ctx.fillStyle = getBiomeColor(tile.biome);
+  drawTile(tile, screenX, screenY, tileSize, autotile = null) {
+    // Ground layer (blended towards the neighbouring biome)
+    this.ctx.fillStyle = getBlendedBiomeColor(
+      tile.biome,
+      tile.secondaryBiome,
+      tile.biomeBlend,
+    );
     this.ctx.fillRect(screenX, screenY, tileSize, tileSize);
 
+    // Overlay and structure layers (objects are drawn by drawObject)
+    for (const layer of ["overlay", "structure"]) {
+      const color = getLayerColor(layer, tile[layer]);
+
+      if (color) {
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(screenX, screenY, tileSize, tileSize);
+      }
+    }
+
+    // Edge/corner variants for auto-tiled groups
+    if (autotile && autotile.members[tile.index] !== 0) {
+      for (const group of Object.values(AUTOTILE_GROUPS)) {
+        if (autotile.members[tile.index] & group.bit) {
+          const mask = autotile.masks[group.bit][tile.index];
+          this.drawAutotile(group, mask, screenX, screenY, tileSize);
+        }
+      }
+    }
+
     // Draw grid lines (optional, for debugging)
     // this.ctx.strokeStyle = '#aaa';
     // this.ctx.strokeRect(screenX, screenY, tileSize, tileSize);
   }
 
+  /**
+   * Draw the edge/corner variant picked by a blob mask: a border strip on
+   * every side that doesn't connect, and an inner corner where both sides
+   * connect but the diagonal doesn't
+   * @param {Object} group - Auto-tile group (see AUTOTILE_GROUPS)
+   * @param {number} mask - Normalized 8-bit mask
+   * @param {number} screenX - Screen X
+   * @param {number} screenY - Screen Y
+   * @param {number} tileSize - Tile size
+   */
+  drawAutotile(group, mask, screenX, screenY, tileSize) {
+    const ctx = this.ctx;
+    const edge = Math.max(1, Math.round(tileSize * group.edgeWidth));
+    const far = tileSize - edge;
+
+    // Fully surrounded: plain center tile
+    if (mask === 0xff) return;
+
+    ctx.fillStyle = group.edgeColor;
+
+    if (!(mask & MASK_N)) ctx.fillRect(screenX, screenY, tileSize, edge);
+    if (!(mask & MASK_S)) ctx.fillRect(screenX, screenY + far, tileSize, edge);
+    if (!(mask & MASK_W)) ctx.fillRect(screenX, screenY, edge, tileSize);
+    if (!(mask & MASK_E)) ctx.fillRect(screenX + far, screenY, edge, tileSize);
+
+    // Inner corners (normalized masks only keep diagonals backed by edges)
+    const inner = (side1, side2, corner) =>
+      mask & side1 && mask & side2 && !(mask & corner);
+
+    if (inner(MASK_N, MASK_W, MASK_NW)) {
+      ctx.fillRect(screenX, screenY, edge, edge);
+    }
+    if (inner(MASK_N, MASK_E, MASK_NE)) {
+      ctx.fillRect(screenX + far, screenY, edge, edge);
+    }
+    if (inner(MASK_S, MASK_W, MASK_SW)) {
+      ctx.fillRect(screenX, screenY + far, edge, edge);
+    }
+    if (inner(MASK_S, MASK_E, MASK_SE)) {
+      ctx.fillRect(screenX + far, screenY + far, edge, edge);
+    }
+  }
+
   /**
    * Draw object on tile
    * @param {string} objectType - Object type
@@ -98,9 +178,16 @@ export class Renderer {
 
     const activeChunks = {};
 
+    // On-screen tile size at the current zoom
+    // (rounded up so fractional zoom levels don't leave seams)
+    const tileSize = Math.ceil(CONFIG.TILE_SIZE * camera.getZoom());
+
     // Calculate padded render distance
     const padding = CONFIG.RENDER_DISTANCE;
 
+    // Single tile view re-used for every tile drawn this frame
+    let tile = null;
+
     for (
       let cy = range.minChunkY - padding;
       cy <= range.maxChunkY + padding;
@@ -116,19 +203,24 @@ export class Renderer {
 
         // Get or generate chunk
         const chunk = chunks.getChunk(cx, cy, worldSeed, noiseFunctions);
+        const autotile = chunks.getAutotileMasks(cx, cy);
 
         // Render tiles
         for (let x = 0; x < CONFIG.CHUNK_SIZE; x++) {
           for (let y = 0; y < CONFIG.CHUNK_SIZE; y++) {
-            const tile = chunk[x][y];
+            tile = chunk.getTile(x, y, tile);
 
-            const screenX = camera.worldToScreenX(tile.x, CONFIG.TILE_SIZE);
-            const screenY = camera.worldToScreenY(tile.y, CONFIG.TILE_SIZE);
+            const screenX = Math.floor(
+              camera.worldToScreenX(tile.x, CONFIG.TILE_SIZE),
+            );
+            const screenY = Math.floor(
+              camera.worldToScreenY(tile.y, CONFIG.TILE_SIZE),
+            );
 
             // Viewport culling
             if (
-              screenX < -CONFIG.TILE_SIZE ||
-              screenY < -CONFIG.TILE_SIZE ||
+              screenX < -tileSize ||
+              screenY < -tileSize ||
               screenX > this.canvas.width ||
               screenY > this.canvas.height
             ) {
@@ -136,16 +228,11 @@ export class Renderer {
             }
 
             // Draw tile
-            this.drawTile(tile, screenX, screenY, CONFIG.TILE_SIZE);
+            this.drawTile(tile, screenX, screenY, tileSize, autotile);
 
             // Draw object if present
             if (tile.object !== null) {
-              this.drawObject(
-                tile.object,
-                screenX,
-                screenY,
-                CONFIG.TILE_SIZE,
-              );
+              this.drawObject(tile.object, screenX, screenY, tileSize);
             }
 
             // Draw structure outline (optional debug)
@@ -0,0 +1,400 @@
+// =============================
+// RIVER GENERATOR
+// Downhill tracing with flow accumulation
+// =============================
+
+import { CONFIG } from "./config.js";
+import { BoundedMap } from "./cache.js";
+import { forkRandom } from "./seed.js";
+import { getDomainWarpedNoise } from "./noise.js";
+import { sampleElevation } from "./terrain.js";
+
+/**
+ * 8-way neighbour offsets (fixed order keeps tie-breaking deterministic)
+ */
+const NEIGHBORS_8 = [
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+  [-1, 0],
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1],
+];
+
+/**
+ * 4-way neighbour offsets (used for lake flooding)
+ */
+const NEIGHBORS_4 = [
+  [0, -1],
+  [-1, 0],
+  [1, 0],
+  [0, 1],
+];
+
+/**
+ * River region key generator
+ * @param {number} rx - Region X
+ * @param {number} ry - Region Y
+ * @returns {string} Key
+ */
+export function getRiverRegionKey(rx, ry) {
+  return `${rx},${ry}`;
+}
+
+/**
+ * Width (disk radius in tiles) for a given flow
+ * Every tributary adds one unit of flow.
+ * @param {number} flow - Number of sources upstream
+ * @returns {number} Radius in tiles (0 = single tile)
+ */
+export function getRiverRadius(flow) {
+  return Math.min(
+    CONFIG.RIVER_MAX_RADIUS,
+    Math.floor(Math.log2(flow) * CONFIG.RIVER_WIDTH_GROWTH),
+  );
+}
+
+/**
+ * Trace a single river from its source down to water or a lake.
+ * Pure function of the source position and the noise layers, so the
+ * same river is produced no matter which chunk asks for it.
+ * @param {number} sourceX - Source world X
+ * @param {number} sourceY - Source world Y
+ * @param {Object} noiseFunctions - Noise layers (elevation, river)
+ * @returns {Object} { path: [{x, y}], lake: [{x, y}], endsInWater }
+ */
+export function traceRiver(sourceX, sourceY, noiseFunctions) {
+  const samples = new Map();
+
+  // Terrain elevation + a small domain-warped jitter so rivers meander
+  // and don't stall on perfectly flat ground
+  const sample = (x, y) => {
+    const key = `${x},${y}`;
+    let s = samples.get(key);
+
+    if (!s) {
+      const elevation = sampleElevation(x, y, noiseFunctions);
+      const meander = getDomainWarpedNoise(
+        noiseFunctions.river,
+        noiseFunctions.river,
+        x * 0.1,
+        y * 0.1,
+        4,
+      );
+
+      s = { elevation, flow: elevation + meander * CONFIG.RIVER_MEANDER };
+      samples.set(key, s);
+    }
+
+    return s;
+  };
+
+  const path = [];
+  const lake = [];
+  const visited = new Set();
+
+  let x = sourceX;
+  let y = sourceY;
+  let flooded = 0;
+  let endsInWater = false;
+
+  while (path.length < CONFIG.RIVER_MAX_LENGTH) {
+    const key = `${x},${y}`;
+    if (visited.has(key)) break;
+
+    visited.add(key);
+    path.push({ x, y });
+
+    const current = sample(x, y);
+
+    // Reached the sea / existing water
+    if (current.elevation < CONFIG.WATER_THRESHOLD) {
+      endsInWater = true;
+      break;
+    }
+
+    // Steepest descent
+    let next = null;
+    let nextFlow = current.flow;
+
+    for (const [dx, dy] of NEIGHBORS_8) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (visited.has(`${nx},${ny}`)) continue;
+
+      const s = sample(nx, ny);
+      if (s.flow < nextFlow) {
+        nextFlow = s.flow;
+        next = { x: nx, y: ny };
+      }
+    }
+
+    if (next) {
+      x = next.x;
+      y = next.y;
+      continue;
+    }
+
+    // Pit: flood it until it spills, then keep flowing from the spill point
+    const budget = CONFIG.RIVER_MAX_FLOODED - flooded;
+    if (budget <= 0) break;
+
+    const depression = floodDepression(x, y, sample, visited, budget);
+    flooded += depression.tiles.length;
+
+    // Small depressions are just part of the riverbed, big ones become lakes
+    if (depression.tiles.length >= CONFIG.RIVER_LAKE_MIN_SIZE) {
+      lake.push(...depression.tiles);
+    } else {
+      // First flooded tile is the pit, which is already on the path
+      path.push(...depression.tiles.slice(1));
+    }
+
+    if (!depression.exit) {
+      // Filled up without spilling: the river ends in its lake
+      endsInWater = true;
+      break;
+    }
+
+    x = depression.exit.x;
+    y = depression.exit.y;
+  }
+
+  return { path, lake, endsInWater };
+}
+
+/**
+ * Priority-flood a depression from a pit
+ * @param {number} pitX - Pit world X
+ * @param {number} pitY - Pit world Y
+ * @param {Function} sample - (x, y) => { elevation, flow }
+ * @param {Set} visited - Tiles already used by this river (updated)
+ * @param {number} maxSize - Maximum tiles to flood
+ * @returns {Object} { tiles: [{x, y}], exit: {x, y}|null }
+ */
+function floodDepression(pitX, pitY, sample, visited, maxSize) {
+  const frontier = [{ x: pitX, y: pitY, flow: sample(pitX, pitY).flow }];
+  const seen = new Set([`${pitX},${pitY}`]);
+  const tiles = [];
+  let level = -Infinity;
+
+  // The pit is already marked visited by the trace; let it flood first
+  visited.delete(`${pitX},${pitY}`);
+
+  while (frontier.length > 0 && tiles.length < maxSize) {
+    // Pop lowest frontier tile (depressions are small, a linear scan is fine)
+    let lowest = 0;
+    for (let i = 1; i < frontier.length; i++) {
+      if (frontier[i].flow < frontier[lowest].flow) lowest = i;
+    }
+    const tile = frontier.splice(lowest, 1)[0];
+
+    // Lower than the water surface: the depression spills out here
+    if (tile.flow < level) {
+      return { tiles, exit: { x: tile.x, y: tile.y } };
+    }
+
+    level = tile.flow;
+
+    visited.add(`${tile.x},${tile.y}`);
+    tiles.push({ x: tile.x, y: tile.y });
+
+    for (const [dx, dy] of NEIGHBORS_4) {
+      const nx = tile.x + dx;
+      const ny = tile.y + dy;
+      const nKey = `${nx},${ny}`;
+
+      if (seen.has(nKey) || visited.has(nKey)) continue;
+      seen.add(nKey);
+
+      frontier.push({ x: nx, y: ny, flow: sample(nx, ny).flow });
+    }
+  }
+
+  return { tiles, exit: null };
+}
+
+/**
+ * Trace all rivers whose sources lie in one region
+ * @param {number} rx - Region X
+ * @param {number} ry - Region Y
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {Object[]} Rivers with { path, lake, bounds }
+ */
+export function traceRegionRivers(rx, ry, worldSeed, noiseFunctions) {
+  const size = CONFIG.RIVER_REGION_SIZE;
+  const rng = forkRandom(worldSeed, "river-sources", rx, ry);
+  const rivers = [];
+
+  for (let i = 0; i < CONFIG.RIVER_SOURCE_ATTEMPTS; i++) {
+    // Always draw all values so attempts stay independent
+    const sx = rx * size + Math.floor(rng() * size);
+    const sy = ry * size + Math.floor(rng() * size);
+    const roll = rng();
+
+    if (roll > CONFIG.RIVER_SOURCE_CHANCE) continue;
+
+    const elevation = sampleElevation(sx, sy, noiseFunctions);
+    if (elevation < CONFIG.RIVER_SOURCE_MIN_ELEVATION) continue;
+
+    const river = traceRiver(sx, sy, noiseFunctions);
+    if (river.path.length < CONFIG.RIVER_MIN_LENGTH) continue;
+
+    let minX = sx,
+      maxX = sx,
+      minY = sy,
+      maxY = sy;
+
+    for (const p of river.path.concat(river.lake)) {
+      minX = Math.min(minX, p.x);
+      maxX = Math.max(maxX, p.x);
+      minY = Math.min(minY, p.y);
+      maxY = Math.max(maxY, p.y);
+    }
+
+    river.bounds = { minX, maxX, minY, maxY };
+    rivers.push(river);
+  }
+
+  return rivers;
+}
+
+/**
+ * Cache of traced river regions
+ * Rivers are a pure function of seed + position; the cache only avoids
+ * re-tracing the same region for every chunk it reaches.
+ */
+export class RiverNetwork {
+  constructor() {
+    this.regions = new BoundedMap(CONFIG.RIVER_CACHE_LIMIT);
+  }
+
+  /**
+   * Get (or trace) rivers for a region
+   * @param {number} rx - Region X
+   * @param {number} ry - Region Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @returns {Object[]} Rivers
+   */
+  getRegionRivers(rx, ry, worldSeed, noiseFunctions) {
+    const key = getRiverRegionKey(rx, ry);
+
+    if (!this.regions.has(key)) {
+      this.regions.set(
+        key,
+        traceRegionRivers(rx, ry, worldSeed, noiseFunctions),
+      );
+    }
+
+    return this.regions.get(key);
+  }
+
+  /**
+   * Collect river and lake tiles that fall inside a chunk
+   * @param {number} cx - Chunk X
+   * @param {number} cy - Chunk Y
+   * @param {number} worldSeed - World seed
+   * @param {Object} noiseFunctions - Noise layers
+   * @returns {Object} { flow: Map<localIndex, flow>, lakes: Set<localIndex> }
+   *   localIndex = x * CHUNK_SIZE + y
+   */
+  getChunkRiverTiles(cx, cy, worldSeed, noiseFunctions) {
+    const size = CONFIG.CHUNK_SIZE;
+    const margin = CONFIG.RIVER_MAX_RADIUS;
+
+    const minX = cx * size;
+    const minY = cy * size;
+    const maxX = minX + size - 1;
+    const maxY = minY + size - 1;
+
+    // Furthest a river can reach from its source
+    const reach = CONFIG.RIVER_MAX_LENGTH + CONFIG.RIVER_MAX_FLOODED + margin;
+
+    const regionSize = CONFIG.RIVER_REGION_SIZE;
+    const minRX = Math.floor((minX - reach) / regionSize);
+    const maxRX = Math.floor((maxX + reach) / regionSize);
+    const minRY = Math.floor((minY - reach) / regionSize);
+    const maxRY = Math.floor((maxY + reach) / regionSize);
+
+    // Pass 1: flow accumulation on path tiles near the chunk
+    const pathFlow = new Map();
+    const lakes = new Set();
+
+    for (let ry = minRY; ry <= maxRY; ry++) {
+      for (let rx = minRX; rx <= maxRX; rx++) {
+        const rivers = this.getRegionRivers(rx, ry, worldSeed, noiseFunctions);
+
+        for (const river of rivers) {
+          const b = river.bounds;
+          if (
+            b.maxX < minX - margin ||
+            b.minX > maxX + margin ||
+            b.maxY < minY - margin ||
+            b.minY > maxY + margin
+          ) {
+            continue;
+          }
+
+          for (const p of river.path) {
+            if (
+              p.x < minX - margin ||
+              p.x > maxX + margin ||
+              p.y < minY - margin ||
+              p.y > maxY + margin
+            ) {
+              continue;
+            }
+
+            const key = `${p.x},${p.y}`;
+            const entry = pathFlow.get(key);
+
+            if (entry) {
+              entry.flow++;
+            } else {
+              pathFlow.set(key, { x: p.x, y: p.y, flow: 1 });
+            }
+          }
+
+          for (const p of river.lake) {
+            if (p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY) {
+              lakes.add((p.x - minX) * size + (p.y - minY));
+            }
+          }
+        }
+      }
+    }
+
+    // Pass 2: paint river width around each path tile
+    const flow = new Map();
+
+    for (const entry of pathFlow.values()) {
+      const radius = getRiverRadius(entry.flow);
+
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+          if (dx * dx + dy * dy > radius * radius) continue;
+
+          const x = entry.x + dx;
+          const y = entry.y + dy;
+          if (x < minX || x > maxX || y < minY || y > maxY) continue;
+
+          const index = (x - minX) * size + (y - minY);
+          flow.set(index, Math.max(flow.get(index) || 0, entry.flow));
+        }
+      }
+    }
+
+    return { flow, lakes };
+  }
+
+  /**
+   * Clear all traced regions
+   */
+  clear() {
+    this.regions.clear();
+  }
+}
@@ -2,7 +2,32 @@
 // VILLAGE ROAD GRAPH GENERATOR
 // =============================
 
-import { createSeededRandom, seededRandomInt, seededRandomAngle } from "./seed.js";
+import { CONFIG } from "./config.js";
+import {
+  createSeededRandom,
+  seededRandomInt,
+  seededRandomAngle,
+} from "./seed.js";
+
+/**
+ * Layouts (picked by weight from the village seed unless one is asked for):
+ *   organic - MST over the Delaunay edges of scattered nodes, plus a few
+ *             extra edges that close loops
+ *   grid    - Streets on a square lattice (grid towns)
+ *   radial  - Spokes from the center crossed by rings (market towns)
+ *
+ * Every edge is tagged main street, side street or path; the tag sets its
+ * width and overlay (see ROAD_EDGE_TYPES).
+ */
+
+/**
+ * Edge tags, in drawing priority order (main streets win shared tiles)
+ */
+export const ROAD_EDGE_TYPES = {
+  main: { name: "main", overlay: "road", width: CONFIG.ROAD_MAIN_WIDTH },
+  side: { name: "side", overlay: "road", width: CONFIG.ROAD_SIDE_WIDTH },
+  path: { name: "path", overlay: "path", width: CONFIG.ROAD_PATH_WIDTH },
+};
 
 /**
  * Graph node for village structure
@@ -36,10 +61,14 @@ export class RoadEdge {
   /**
    * @param {RoadNode} from - Start node
    * @param {RoadNode} to - End node
+   * @param {string} type - Edge tag (see ROAD_EDGE_TYPES)
    */
-  constructor(from, to) {
+  constructor(from, to, type = "side") {
     this.from = from;
     this.to = to;
+    this.type = type;
+    this.width = ROAD_EDGE_TYPES[type].width;
+    this.overlay = ROAD_EDGE_TYPES[type].overlay;
   }
 
   /**
@@ -51,6 +80,304 @@ export class RoadEdge {
   }
 }
 
+// =============================
+// DELAUNAY + MST
+// =============================
+
+/**
+ * Delaunay triangulation (Bowyer-Watson, fine for a handful of nodes)
+ * @param {RoadNode[]} nodes - Nodes (distinct positions)
+ * @returns {number[][]} Unique edges as [i, j] node index pairs (i < j)
+ */
+export function triangulate(nodes) {
+  const n = nodes.length;
+  if (n < 2) return [];
+  if (n === 2) return [[0, 1]];
+
+  // Super triangle around every node
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+
+  for (const node of nodes) {
+    minX = Math.min(minX, node.x);
+    minY = Math.min(minY, node.y);
+    maxX = Math.max(maxX, node.x);
+    maxY = Math.max(maxY, node.y);
+  }
+
+  const span = Math.max(maxX - minX, maxY - minY, 1) * 20;
+  const midX = (minX + maxX) / 2;
+  const midY = (minY + maxY) / 2;
+  const points = nodes
+    .map((node) => [node.x, node.y])
+    .concat([
+      [midX - span, midY - span],
+      [midX + span, midY - span],
+      [midX, midY + span],
+    ]);
+
+  // Point d inside the circumcircle of triangle (a, b, c)
+  const inCircumcircle = ([a, b, c], d) => {
+    const [ax, ay] = points[a];
+    const [bx, by] = points[b];
+    const [cx, cy] = points[c];
+    const [dx, dy] = points[d];
+
+    const adx = ax - dx,
+      ady = ay - dy,
+      bdx = bx - dx,
+      bdy = by - dy,
+      cdx = cx - dx,
+      cdy = cy - dy;
+
+    const det =
+      (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy) -
+      (bdx * bdx + bdy * bdy) * (adx * cdy - cdx * ady) +
+      (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady);
+
+    // Sign depends on the winding of (a, b, c)
+    const orientation = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    return orientation > 0 ? det > 0 : det < 0;
+  };
+
+  let triangles = [[n, n + 1, n + 2]];
+
+  for (let i = 0; i < n; i++) {
+    const bad = triangles.filter((t) => inCircumcircle(t, i));
+    const edgeCounts = new Map();
+
+    for (const [a, b, c] of bad) {
+      for (const [p, q] of [
+        [a, b],
+        [b, c],
+        [c, a],
+      ]) {
+        const key = p < q ? `${p},${q}` : `${q},${p}`;
+        edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+      }
+    }
+
+    // The hole's outline (edges of one bad triangle only) fans out to i
+    triangles = triangles.filter((t) => !bad.includes(t));
+
+    for (const [key, count] of edgeCounts) {
+      if (count === 1) {
+        const [p, q] = key.split(",").map(Number);
+        triangles.push([p, q, i]);
+      }
+    }
+  }
+
+  const edges = new Map();
+
+  for (const [a, b, c] of triangles) {
+    if (a >= n || b >= n || c >= n) continue;
+
+    for (const [p, q] of [
+      [a, b],
+      [b, c],
+      [c, a],
+    ]) {
+      const key = p < q ? `${p},${q}` : `${q},${p}`;
+      edges.set(key, p < q ? [p, q] : [q, p]);
+    }
+  }
+
+  return [...edges.values()].sort((e, f) => e[0] - f[0] || e[1] - f[1]);
+}
+
+/**
+ * Minimum spanning tree over candidate edges (Kruskal)
+ * @param {RoadNode[]} nodes - Nodes
+ * @param {number[][]} edges - Candidate [i, j] pairs
+ * @returns {Object} { tree: [i, j][], rest: [i, j][] } (rest = unused
+ *   candidates, shortest first)
+ */
+export function spanningTree(nodes, edges) {
+  const parent = nodes.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const length = ([i, j]) => nodes[i].distance(nodes[j]);
+  const sorted = [...edges].sort((e, f) => length(e) - length(f));
+  const tree = [];
+  const rest = [];
+
+  for (const edge of sorted) {
+    const a = find(edge[0]);
+    const b = find(edge[1]);
+
+    if (a === b) {
+      rest.push(edge);
+    } else {
+      parent[a] = b;
+      tree.push(edge);
+    }
+  }
+
+  return { tree, rest };
+}
+
+// =============================
+// LAYOUT STRATEGIES
+// =============================
+
+/**
+ * Scattered nodes joined by their MST, plus loop edges
+ * @param {RoadGraph} graph - Graph (center node already added)
+ * @param {Function} rng - RNG function
+ */
+function buildOrganicLayout(graph, rng) {
+  const center = graph.nodes[0];
+  const nodeCount = seededRandomInt(rng, 6, 11);
+
+  for (let attempt = 0; attempt < nodeCount * 6; attempt++) {
+    if (graph.nodes.length >= nodeCount) break;
+
+    const angle = seededRandomAngle(rng);
+    const distance = 5 + rng() * 10;
+    const node = new RoadNode(
+      center.x + Math.cos(angle) * distance,
+      center.y + Math.sin(angle) * distance,
+    );
+
+    // Keep nodes apart so streets don't bunch up
+    if (graph.nodes.every((other) => other.distance(node) >= 4)) {
+      graph.nodes.push(node);
+    }
+  }
+
+  const { tree, rest } = spanningTree(graph.nodes, triangulate(graph.nodes));
+
+  // Streets leaving the center are main streets
+  for (const [i, j] of tree) {
+    graph.addEdge(i, j, i === 0 || j === 0 ? "main" : "side");
+  }
+
+  // A few short extra edges close loops
+  let loops = 0;
+  for (const [i, j] of rest) {
+    if (loops >= CONFIG.ROAD_LOOP_EDGES) break;
+    if (graph.nodes[i].distance(graph.nodes[j]) > CONFIG.ROAD_LOOP_MAX_LENGTH) {
+      continue;
+    }
+
+    if (rng() < 0.6) {
+      graph.addEdge(i, j, "path");
+      loops++;
+    }
+  }
+}
+
+/**
+ * Square lattice of streets centered on the village center
+ * @param {RoadGraph} graph - Graph (center node already added)
+ * @param {Function} rng - RNG function
+ */
+function buildGridLayout(graph, rng) {
+  const center = graph.nodes[0];
+  const spacing = CONFIG.ROAD_GRID_SPACING;
+  const half = seededRandomInt(rng, 1, 3); // Blocks on each side
+  const index = new Map([["0,0", 0]]);
+
+  for (let j = -half; j <= half; j++) {
+    for (let i = -half; i <= half; i++) {
+      if (i === 0 && j === 0) continue;
+
+      index.set(`${i},${j}`, graph.nodes.length);
+      graph.nodes.push(
+        new RoadNode(center.x + i * spacing, center.y + j * spacing),
+      );
+    }
+  }
+
+  for (let j = -half; j <= half; j++) {
+    for (let i = -half; i <= half; i++) {
+      const from = index.get(`${i},${j}`);
+
+      for (const [di, dj] of [
+        [1, 0],
+        [0, 1],
+      ]) {
+        const to = index.get(`${i + di},${j + dj}`);
+        if (to === undefined) continue;
+
+        // The two axes through the center are main streets, the outer
+        // ring is footpaths
+        const onAxis = di === 1 ? j === 0 : i === 0;
+        const onEdge = di === 1 ? Math.abs(j) === half : Math.abs(i) === half;
+
+        const type = onAxis ? "main" : onEdge ? "path" : "side";
+
+        // Some outer paths are left out
+        if (type === "path" && rng() < 0.3) continue;
+        graph.addEdge(from, to, type);
+      }
+    }
+  }
+}
+
+/**
+ * Spokes from the center crossed by one or two rings
+ * @param {RoadGraph} graph - Graph (center node already added)
+ * @param {Function} rng - RNG function
+ */
+function buildRadialLayout(graph, rng) {
+  const center = graph.nodes[0];
+  const spokes = seededRandomInt(rng, 4, 7);
+  const rings = rng() < 0.5 ? [7] : [6, 12];
+  const offset = seededRandomAngle(rng);
+
+  // ringNodes[r][s] = node index of spoke s on ring r
+  const ringNodes = rings.map((radius) => {
+    const indices = [];
+
+    for (let s = 0; s < spokes; s++) {
+      const jitter = (rng() - 0.5) * (Math.PI / spokes) * 0.5;
+      const angle = offset + (s / spokes) * Math.PI * 2 + jitter;
+
+      indices.push(graph.nodes.length);
+      graph.nodes.push(
+        new RoadNode(
+          center.x + Math.cos(angle) * radius,
+          center.y + Math.sin(angle) * radius,
+        ),
+      );
+    }
+
+    return indices;
+  });
+
+  ringNodes.forEach((ring, r) => {
+    const outer = r === ringNodes.length - 1 && r > 0;
+
+    for (let s = 0; s < spokes; s++) {
+      // Spokes: main streets to the inner ring, side streets beyond
+      const inner = r === 0 ? 0 : ringNodes[r - 1][s];
+      graph.addEdge(inner, ring[s], r === 0 ? "main" : "side");
+
+      // Ring roads: the market ring is a side street, the outer one paths
+      graph.addEdge(ring[s], ring[(s + 1) % spokes], outer ? "path" : "side");
+    }
+  });
+}
+
+/**
+ * Layout strategies by name
+ */
+export const ROAD_LAYOUTS = {
+  organic: { weight: 2, build: buildOrganicLayout },
+  grid: { weight: 1, build: buildGridLayout },
+  radial: { weight: 1, build: buildRadialLayout },
+};
+
 /**
  * Road graph for procedural village generation
  */
@@ -59,12 +386,14 @@ export class RoadGraph {
    * @param {number} centerX - Center X
    * @param {number} centerY - Center Y
    * @param {Function} rng - RNG function
+   * @param {string|null} layout - Layout name (null = weighted pick)
    */
-  constructor(centerX, centerY, rng) {
+  constructor(centerX, centerY, rng, layout = null) {
     this.centerX = centerX;
     this.centerY = centerY;
     this.nodes = [];
     this.edges = [];
+    this.layout = layout || pickRoadLayout(rng);
 
     this.generateGraph(rng);
   }
@@ -78,25 +407,20 @@ export class RoadGraph {
     const centerNode = new RoadNode(this.centerX, this.centerY);
     this.nodes.push(centerNode);
 
-    // Generate surrounding nodes
-    const nodeCount = 5 + Math.floor(rng() * 6);
-
-    for (let i = 1; i < nodeCount; i++) {
-      const angle = seededRandomAngle(rng);
-      const distance = 6 + rng() * 12;
-
-      const x = this.centerX + Math.cos(angle) * distance;
-      const y = this.centerY + Math.sin(angle) * distance;
-
-      const node = new RoadNode(x, y);
-      this.nodes.push(node);
-
-      // Connect to random parent node (spanning tree)
-      const parentIdx = Math.floor(rng() * this.nodes.length);
-      const parentNode = this.nodes[parentIdx];
+    ROAD_LAYOUTS[this.layout].build(this, rng);
+  }
 
-      this.edges.push(new RoadEdge(parentNode, node));
-    }
+  /**
+   * Connect two nodes
+   * @param {number} from - Node index
+   * @param {number} to - Node index
+   * @param {string} type - Edge tag (see ROAD_EDGE_TYPES)
+   * @returns {RoadEdge} Edge
+   */
+  addEdge(from, to, type) {
+    const edge = new RoadEdge(this.nodes[from], this.nodes[to], type);
+    this.edges.push(edge);
+    return edge;
   }
 
   /**
@@ -136,6 +460,24 @@ export class RoadGraph {
   }
 }
 
+/**
+ * Pick a layout by weight
+ * @param {Function} rng - RNG function
+ * @returns {string} Layout name
+ */
+function pickRoadLayout(rng) {
+  const entries = Object.entries(ROAD_LAYOUTS);
+  const total = entries.reduce((sum, [, layout]) => sum + layout.weight, 0);
+  let roll = rng() * total;
+
+  for (const [name, layout] of entries) {
+    roll -= layout.weight;
+    if (roll < 0) return name;
+  }
+
+  return entries[entries.length - 1][0];
+}
+
 /**
  * Draw line using Bresenham's algorithm
  * @param {Function} callback - Callback for each tile (x, y) => void
@@ -178,30 +520,41 @@ export function drawLineOnGrid(callback, x0, y0, x1, y1) {
 }
 
 /**
- * Rasterize road edges onto tile map
- * @param {Object} tileMap - 2D tile array
- * @param {RoadGraph} graph - Road graph
- * @param {Object} options - { roadWidth, roadType }
+ * Rasterize road edges in world tile coordinates. The caller decides what
+ * a road tile becomes (template cell, chunk tile, ...), so a graph can be
+ * drawn into any grid layout. Main streets are drawn first, so a tile
+ * shared with a side street or path keeps the main street's overlay.
+ * @param {Function} setTile - Callback for each road tile
+ *   (x, y, overlay) => void, called once per tile
+ * @param {RoadGraph} graph - Road graph (world coordinates)
+ * @param {Object} options - { roadWidth: tiles on each side of the center
+ *   line for untagged edges (0 = one tile wide), overlay }
  */
-export function rasterizeroads(tileMap, graph, options = {}) {
-  const roadWidth = options.roadWidth || 1;
-  const roadType = options.roadType || "road";
+export function rasterizeroads(setTile, graph, options = {}) {
+  const roadWidth = options.roadWidth ?? 1;
+  const drawn = new Set();
+  const order = Object.keys(ROAD_EDGE_TYPES);
+  const rank = (edge) =>
+    edge.type in ROAD_EDGE_TYPES ? order.indexOf(edge.type) : order.length;
+
+  const edges = [...graph.getEdges()].sort((a, b) => rank(a) - rank(b));
+
+  for (const edge of edges) {
+    const width = edge.width ?? roadWidth;
+    const overlay = edge.overlay || options.overlay || "road";
 
-  for (const edge of graph.getEdges()) {
     drawLineOnGrid(
       (x, y) => {
         // Set road tiles with width
-        for (let dx = -roadWidth; dx <= roadWidth; dx++) {
-          for (let dy = -roadWidth; dy <= roadWidth; dy++) {
+        for (let dx = -width; dx <= width; dx++) {
+          for (let dy = -width; dy <= width; dy++) {
             const tx = x + dx;
             const ty = y + dy;
+            const key = `${tx},${ty}`;
 
-            if (
-              tileMap[ty] &&
-              tileMap[ty][tx] &&
-              tileMap[ty][tx].roadType === null
-            ) {
-              tileMap[ty][tx].roadType = roadType;
+            if (!drawn.has(key)) {
+              drawn.add(key);
+              setTile(tx, ty, overlay);
             }
           }
         }
@@ -219,9 +572,15 @@ export function rasterizeroads(tileMap, graph, options = {}) {
  * @param {number} centerX - Village center X
  * @param {number} centerY - Village center Y
  * @param {number} seed - Seed for RNG
+ * @param {string|null} layout - Layout name (null = picked from the seed)
  * @returns {RoadGraph} Generated graph
  */
-export function generateVillageRoadGraph(centerX, centerY, seed) {
+export function generateVillageRoadGraph(
+  centerX,
+  centerY,
+  seed,
+  layout = null,
+) {
   const rng = createSeededRandom(seed);
-  return new RoadGraph(centerX, centerY, rng);
+  return new RoadGraph(centerX, centerY, rng, layout);
 }
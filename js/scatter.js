@@ -4,25 +4,28 @@
 
 import { createSeededNoise, normalizeNoise } from "./noise.js";
 import { CONFIG } from "./config.js";
+import { getBiomeScatterRules } from "./biome.js";
 
 /**
  * Scatter object type (tree, rock, etc)
+ * Which biomes spawn which objects is defined by the biome registry.
  */
 export const SCATTER_OBJECTS = {
   tree: {
     name: "tree",
     color: "#145a32",
-    biomes: ["forest", "grass"],
+    solid: true,
   },
   rock: {
     name: "rock",
     color: "#7f8c8d",
-    biomes: ["mountain", "grass", "desert"],
+    solid: true,
   },
   flower: {
     name: "flower",
     color: "#e74c3c",
-    biomes: ["grass", "forest"],
+    solid: false,
+    movementCost: 1.1,
   },
 };
 
@@ -45,37 +48,24 @@ export function getScatterType(tile, worldX, worldY, scatterNoise) {
     scatterNoise(worldX * CONFIG.SCATTER_SCALE, worldY * CONFIG.SCATTER_SCALE),
   );
 
-  // Forest: high tree density
-  if (tile.biome === "forest") {
-    if (density > CONFIG.FOREST_TREE_DENSITY) {
-      return "tree";
-    }
-  }
+  // Near biome borders, dither between the two biomes' rules so density
+  // and object mix shift gradually instead of changing on one tile
+  let biome = tile.biome;
 
-  // Grassland: moderate trees, sparse rocks
-  if (tile.biome === "grass" || tile.biome === "grassland") {
-    if (density > CONFIG.GRASS_TREE_DENSITY) {
-      return "tree";
-    }
-    if (
-      density > CONFIG.GRASS_ROCK_DENSITY_MIN &&
-      density < CONFIG.GRASS_ROCK_DENSITY_MAX
-    ) {
-      return "rock";
-    }
-  }
+  if (tile.secondaryBiome && tile.biomeBlend > 0) {
+    const dither = normalizeNoise(
+      scatterNoise(worldX * 1.7 + 101.3, worldY * 1.7 - 57.9),
+    );
 
-  // Mountain: high rock density
-  if (tile.biome === "mountain") {
-    if (density > CONFIG.MOUNTAIN_ROCK_DENSITY) {
-      return "rock";
+    if (dither < tile.biomeBlend) {
+      biome = tile.secondaryBiome;
     }
   }
 
-  // Desert: scattered rocks
-  if (tile.biome === "desert") {
-    if (density > 0.7) {
-      return "rock";
+  // First biome scatter rule whose density range matches wins
+  for (const rule of getBiomeScatterRules(biome)) {
+    if (density > rule.min && density < rule.max) {
+      return rule.object;
     }
   }
 
@@ -113,8 +103,9 @@ export function getObjectProperties(objectType) {
  * @returns {boolean} Is valid
  */
 export function isObjectValidForBiome(objectType, biomeName) {
-  const obj = SCATTER_OBJECTS[objectType];
-  return obj && obj.biomes.includes(biomeName);
+  return getBiomeScatterRules(biomeName).some(
+    (rule) => rule.object === objectType,
+  );
 }
 
 /**
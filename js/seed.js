@@ -25,6 +25,98 @@ export function createSeededRandom(seed) {
   return mulberry32(seed);
 }
 
+/**
+ * Golden-ratio increment used to decorrelate successive hash inputs
+ */
+const GOLDEN_GAMMA = 0x9e3779b9;
+
+/**
+ * Avalanche a 32-bit integer (murmur3 finalizer)
+ * @param {number} h - Input value
+ * @returns {number} Mixed unsigned 32-bit value
+ */
+export function mixHash32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Hash a string label to 32 bits (FNV-1a, then avalanched)
+ * @param {string} str - Label
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashString(str) {
+  let h = 0x811c9dc5;
+
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+
+  return mixHash32(h);
+}
+
+/**
+ * Derive a child seed from a parent seed and a path of labels/coordinates.
+ * Order matters: deriveSeed(s, "river", 1, 2) !== deriveSeed(s, "river", 2, 1).
+ *
+ * Usage:
+ *   deriveSeed(worldSeed, "noise", "elevation")
+ *   deriveSeed(worldSeed, "structure-grid", gridX, gridY)
+ *
+ * @param {number} parent - Parent seed
+ * @param {...(string|number)} parts - Labels (strings) or integer coordinates
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function deriveSeed(parent, ...parts) {
+  let h = mixHash32((parent + GOLDEN_GAMMA) | 0);
+
+  for (const part of parts) {
+    const value =
+      typeof part === "number" ? mixHash32(part | 0) : hashString(String(part));
+
+    // hash_combine, then avalanche so nearby coordinates diverge
+    h = mixHash32(h ^ ((value + GOLDEN_GAMMA + (h << 6) + (h >>> 2)) | 0));
+  }
+
+  return h;
+}
+
+/**
+ * Convert a user-facing seed (number or text) to a numeric world seed.
+ * Integer strings ("12345") keep their numeric value so old links still work;
+ * any other text ("mossy-coast") is hashed.
+ * @param {number|string} value - Seed value
+ * @returns {number} Numeric seed
+ */
+export function parseSeed(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.floor(value);
+  }
+
+  const text = String(value).trim();
+
+  if (/^-?\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  return hashString(text);
+}
+
+/**
+ * Fork a named RNG stream from a parent seed
+ * @param {number} parent - Parent seed
+ * @param {...(string|number)} parts - Labels or integer coordinates
+ * @returns {Function} Random number generator (0-1)
+ */
+export function forkRandom(parent, ...parts) {
+  return mulberry32(deriveSeed(parent, ...parts));
+}
+
 /**
  * Generate a seeded random integer within range
  * @param {Function} rng - RNG function
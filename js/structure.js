@@ -2,41 +2,247 @@
 // STRUCTURE SYSTEM
 // =============================
 
-import { createSeededRandom, seededRandomInt, seededRandomAngle } from "./seed.js";
+import { CONFIG } from "./config.js";
+import {
+  createSeededRandom,
+  seededRandomInt,
+  seededRandomAngle,
+  forkRandom,
+} from "./seed.js";
+import { isBiomeValidForStructure } from "./biome.js";
+import { createBoundingBox } from "./bounds.js";
 
 /**
  * Structure templates (cell-based layout)
  * V = village tile
  * D = dungeon tile
+ * E = dungeon entrance
  * . = empty space
  * R = road
+ * W = well
+ * F = field
  */
 export const STRUCTURE_TEMPLATES = {
   village: [".....", ".VVV.", ".VVV.", ".VVV.", "....."],
 
-  dungeon: ["..D..", ".DDD.", "DDDDD", ".DDD.", "..D.."],
+  dungeon: ["..E..", ".DDD.", "DDDDD", ".DDD.", "..D.."],
+};
+
+/**
+ * Structure layer types (color + movement, see layers.js)
+ */
+export const STRUCTURE_TYPES = {
+  village: {
+    name: "village",
+    color: "#c97c3a",
+    solid: true,
+  },
+  dungeon: {
+    name: "dungeon",
+    color: "#555555",
+    solid: true,
+  },
+  well: {
+    name: "well",
+    color: "#5d6d7e",
+    solid: true,
+  },
+  dungeon_entrance: {
+    name: "dungeon_entrance",
+    color: "#1a1a1a",
+    solid: false, // Walked onto to enter the interior (see dungeon.js)
+  },
+};
+
+/**
+ * Template characters -> tile layer values (null = leave tile untouched).
+ * A cell sets one or more layers ({ ground, overlay, object, structure });
+ * a layer set to null is cleared.
+ */
+export const TEMPLATE_LEGEND = {
+  ".": null,
+  V: { structure: "village" },
+  D: { structure: "dungeon" },
+  E: { structure: "dungeon_entrance" },
+  W: { structure: "well" },
+  R: { overlay: "road" },
+  F: { overlay: "field" },
 };
 
 /**
  * Village piece templates (for piece-based generation)
+ *
+ * Anchors are named points ({ x, y, dir? }) and connectors are points where
+ * other pieces attach ({ x, y, dir }, dir = side facing out: N/E/S/W).
+ * Both follow the piece through rotation and mirroring.
+ * weight = how often the village assembler picks the piece, max = cap per
+ * village, center = weight for the village center, landmark = weight for
+ * the end of a dead-end road (see village.js).
  */
 export const VILLAGE_PIECES = [
   {
     name: "house_small",
+    weight: 4,
     layout: ["VVV", "V.V", "VVV"],
+    anchors: { door: { x: 1, y: 2, dir: "S" } },
+    connectors: [{ x: 1, y: 2, dir: "S" }],
   },
   {
     name: "house_long",
+    weight: 3,
     layout: ["VVVV", "V..V", "VVVV"],
+    anchors: { door: { x: 1, y: 2, dir: "S" } },
+    connectors: [{ x: 1, y: 2, dir: "S" }],
+  },
+  {
+    name: "street",
+    weight: 2,
+    layout: ["R", "R", "R", "R", "R"],
+    connectors: [
+      { x: 0, y: 0, dir: "N" },
+      { x: 0, y: 1, dir: "E" },
+      { x: 0, y: 1, dir: "W" },
+      { x: 0, y: 3, dir: "E" },
+      { x: 0, y: 3, dir: "W" },
+      { x: 0, y: 4, dir: "S" },
+    ],
+  },
+  {
+    name: "well",
+    weight: 0.5,
+    max: 2,
+    center: 1,
+    layout: ["W"],
+    anchors: { pivot: { x: 0, y: 0 } },
+    connectors: [{ x: 0, y: 0, dir: "S" }],
+  },
+  {
+    name: "field",
+    weight: 1,
+    layout: ["FFF", "FFF"],
+    connectors: [{ x: 1, y: 1, dir: "S" }],
   },
   {
     name: "plaza",
+    weight: 0, // Only placed at the village center
+    center: 2,
     layout: ["RRR", "RRR", "RRR"],
+    anchors: { pivot: { x: 1, y: 1 } },
+    connectors: [
+      { x: 1, y: 0, dir: "N" },
+      { x: 2, y: 1, dir: "E" },
+      { x: 1, y: 2, dir: "S" },
+      { x: 0, y: 1, dir: "W" },
+    ],
+  },
+  {
+    name: "chapel",
+    weight: 0, // Only placed at road ends
+    max: 1,
+    landmark: 2,
+    layout: ["VVVVV", "V...V", "V...V", "VVVVV"],
+    anchors: { door: { x: 2, y: 3, dir: "S" } },
+    connectors: [{ x: 2, y: 3, dir: "S" }],
+  },
+  {
+    name: "tower",
+    weight: 0,
+    max: 1,
+    landmark: 1,
+    layout: ["VVV", "VVV", "VVV"],
+    anchors: { door: { x: 1, y: 2, dir: "S" } },
+    connectors: [{ x: 1, y: 2, dir: "S" }],
   },
 ];
 
 /**
- * Rotate template 90 degrees clockwise
+ * Clockwise direction order (rotation steps through it)
+ */
+export const DIRECTIONS = ["N", "E", "S", "W"];
+
+/**
+ * Check a template for problems
+ * @param {string[]} template - Template rows
+ * @param {Object} options - { name, legend, anchors, connectors }
+ * @returns {string[]} Error messages (empty = valid)
+ */
+export function validateTemplate(template, options = {}) {
+  const name = options.name || "template";
+  const legend = options.legend || TEMPLATE_LEGEND;
+  const errors = [];
+
+  if (!Array.isArray(template) || template.length === 0) {
+    return [`${name}: template must be a non-empty array of row strings`];
+  }
+
+  const width = typeof template[0] === "string" ? template[0].length : 0;
+
+  if (width === 0) {
+    errors.push(`${name}: row 0 is empty or not a string`);
+  }
+
+  template.forEach((row, y) => {
+    if (typeof row !== "string") {
+      errors.push(`${name}: row ${y} is not a string`);
+      return;
+    }
+
+    if (row.length !== width) {
+      errors.push(
+        `${name}: ragged rows, row ${y} has ${row.length} columns, expected ${width}`,
+      );
+    }
+
+    for (let x = 0; x < row.length; x++) {
+      if (!(row[x] in legend)) {
+        errors.push(`${name}: unknown character "${row[x]}" at (${x}, ${y})`);
+      }
+    }
+  });
+
+  const points = [
+    ...Object.entries(options.anchors || {}).map(([key, p]) => [
+      `anchor "${key}"`,
+      p,
+    ]),
+    ...(options.connectors || []).map((p, i) => [`connector ${i}`, p]),
+  ];
+
+  for (const [label, point] of points) {
+    if (
+      point.x < 0 ||
+      point.y < 0 ||
+      point.x >= width ||
+      point.y >= template.length
+    ) {
+      errors.push(
+        `${name}: ${label} at (${point.x}, ${point.y}) is outside the ${width}x${template.length} template`,
+      );
+    }
+
+    if (point.dir !== undefined && !DIRECTIONS.includes(point.dir)) {
+      errors.push(`${name}: ${label} has unknown direction "${point.dir}"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a template and throw one error listing every problem
+ * @param {string[]} template - Template rows
+ * @param {Object} options - See validateTemplate
+ */
+export function assertValidTemplate(template, options = {}) {
+  const errors = validateTemplate(template, options);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid structure template:\n  ${errors.join("\n  ")}`);
+  }
+}
+
+/**
+ * Rotate template 90 degrees clockwise (any rectangle)
  * @param {string[]} template - Template rows
  * @param {number} rotations - Number of 90-degree rotations (0-3)
  * @returns {string[]} Rotated template
@@ -44,14 +250,16 @@ export const VILLAGE_PIECES = [
 export function rotateTemplate(template, rotations = 0) {
   let result = template;
 
-  for (let r = 0; r < rotations % 4; r++) {
-    const size = result.length;
+  for (let r = 0; r < (((rotations % 4) + 4) % 4); r++) {
+    const height = result.length;
+    const width = result[0].length;
     const rotated = [];
 
-    for (let y = 0; y < size; y++) {
+    // Old columns become new rows (width and height swap)
+    for (let y = 0; y < width; y++) {
       let row = "";
-      for (let x = 0; x < size; x++) {
-        row += result[size - x - 1][y];
+      for (let x = 0; x < height; x++) {
+        row += result[height - x - 1][y];
       }
       rotated.push(row);
     }
@@ -62,6 +270,114 @@ export function rotateTemplate(template, rotations = 0) {
   return result;
 }
 
+/**
+ * Mirror template
+ * @param {string[]} template - Template rows
+ * @param {boolean} mirrorX - Flip left/right
+ * @param {boolean} mirrorY - Flip top/bottom
+ * @returns {string[]} Mirrored template
+ */
+export function mirrorTemplate(template, mirrorX = false, mirrorY = false) {
+  let result = template;
+
+  if (mirrorX) {
+    result = result.map((row) => row.split("").reverse().join(""));
+  }
+
+  if (mirrorY) {
+    result = result.slice().reverse();
+  }
+
+  return result;
+}
+
+/**
+ * Transform a point inside a template (mirror first, then rotate)
+ * @param {Object} point - { x, y, dir? }
+ * @param {number} width - Original template width
+ * @param {number} height - Original template height
+ * @param {Object} transform - { rotation, mirrorX, mirrorY }
+ * @returns {Object} Transformed point (extra fields kept)
+ */
+export function transformPoint(point, width, height, transform = {}) {
+  let { x, y, dir } = point;
+  let w = width;
+  let h = height;
+
+  if (transform.mirrorX) {
+    x = w - 1 - x;
+    if (dir === "E" || dir === "W") dir = dir === "E" ? "W" : "E";
+  }
+
+  if (transform.mirrorY) {
+    y = h - 1 - y;
+    if (dir === "N" || dir === "S") dir = dir === "N" ? "S" : "N";
+  }
+
+  const rotations = (((transform.rotation || 0) % 4) + 4) % 4;
+
+  for (let r = 0; r < rotations; r++) {
+    // Clockwise: (x, y) -> (h - 1 - y, x), dimensions swap
+    [x, y] = [h - 1 - y, x];
+    [w, h] = [h, w];
+
+    if (dir !== undefined) {
+      dir = DIRECTIONS[(DIRECTIONS.indexOf(dir) + 1) % 4];
+    }
+  }
+
+  const result = { ...point, x, y };
+  if (dir !== undefined) result.dir = dir;
+  return result;
+}
+
+/**
+ * Apply rotation/mirroring to a piece, keeping anchors and connectors
+ * attached to the same cells
+ * @param {Object} piece - { name, layout, anchors, connectors }
+ * @param {Object} transform - { rotation, mirrorX, mirrorY }
+ * @returns {Object} Transformed piece (same shape, plus transform)
+ */
+export function transformPiece(piece, transform = {}) {
+  const width = piece.layout[0].length;
+  const height = piece.layout.length;
+  const move = (p) => transformPoint(p, width, height, transform);
+
+  const anchors = {};
+  for (const [key, point] of Object.entries(piece.anchors || {})) {
+    anchors[key] = move(point);
+  }
+
+  return {
+    ...piece,
+    layout: rotateTemplate(
+      mirrorTemplate(piece.layout, transform.mirrorX, transform.mirrorY),
+      transform.rotation || 0,
+    ),
+    anchors,
+    connectors: (piece.connectors || []).map(move),
+    transform,
+  };
+}
+
+/**
+ * Top-left world position that puts a piece's anchor on a world tile
+ * @param {Object} piece - (Transformed) piece
+ * @param {string} anchorName - Anchor name (e.g. "pivot", "door")
+ * @param {number} worldX - Target world X
+ * @param {number} worldY - Target world Y
+ * @returns {Object} { x, y }
+ */
+export function alignToAnchor(piece, anchorName, worldX, worldY) {
+  const anchor = piece.anchors && piece.anchors[anchorName];
+
+  if (!anchor) {
+    throw new Error(`Piece "${piece.name}" has no anchor "${anchorName}"`);
+  }
+
+  return { x: worldX - anchor.x, y: worldY - anchor.y };
+}
+
 /**
  * Scale template up
  * @param {string[]} template - Template rows
@@ -94,29 +410,131 @@ export function scaleTemplate(template, scale) {
  * Get structure template with random rotation and scaling
  * @param {string} structureType - Type of structure
  * @param {number} seed - Seed for randomization
- * @returns {Object} { template, rotation, scale }
+ * @param {Object} options - { layout, rotations, scales, mirror } to
+ *   randomize a registered template (defaults: STRUCTURE_TEMPLATES entry,
+ *   any rotation, scale 1-2, mirroring allowed)
+ * @returns {Object} { template, rotation, scale, mirrorX }
  */
-export function getRandomizedTemplate(structureType, seed) {
-  if (!STRUCTURE_TEMPLATES[structureType]) {
+export function getRandomizedTemplate(structureType, seed, options = {}) {
+  const baseTemplate = options.layout || STRUCTURE_TEMPLATES[structureType];
+
+  if (!baseTemplate) {
     return null;
   }
 
   const rng = createSeededRandom(seed);
-  const baseTemplate = STRUCTURE_TEMPLATES[structureType];
+  const rotations = options.rotations || [0, 1, 2, 3];
+  const scales = options.scales || [1, 2];
+
+  // Random rotation (x 90 degrees)
+  const rotation = rotations[Math.floor(rng() * rotations.length)];
 
-  // Random rotation (0-3 x 90 degrees)
-  const rotation = Math.floor(rng() * 4);
+  // Random scale
+  const scale = scales[Math.floor(rng() * scales.length)];
 
-  // Random scale (1-2)
-  const scale = 1 + Math.floor(rng() * 2);
+  // Random left/right mirror
+  const mirrorX = options.mirror !== false && rng() < 0.5;
 
-  let template = rotateTemplate(baseTemplate, rotation);
+  let template = mirrorTemplate(baseTemplate, mirrorX);
+  template = rotateTemplate(template, rotation);
   template = scaleTemplate(template, scale);
 
   return {
     template,
     rotation,
     scale,
+    mirrorX,
+  };
+}
+
+/**
+ * Tight footprint of a template (ignores "." padding)
+ * @param {string[]} template - Template rows
+ * @returns {Object|null} { offsetX, offsetY, width, height } (null if empty)
+ */
+export function getTemplateFootprint(template) {
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+
+  for (let y = 0; y < template.length; y++) {
+    for (let x = 0; x < template[y].length; x++) {
+      if (template[y][x] === ".") continue;
+
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+  }
+
+  if (minX === Infinity) return null;
+
+  return {
+    offsetX: minX,
+    offsetY: minY,
+    width: maxX - minX + 1,
+    height: maxY - minY + 1,
+  };
+}
+
+/**
+ * Roll the structure candidate of one STRUCTURE_SPACING grid cell.
+ * Pure function of seed + cell and cheap: only picks the candidate chunk
+ * and type. The layout is built separately (see buildStructurePlacement).
+ * @param {number} gridX - Grid cell X
+ * @param {number} gridY - Grid cell Y
+ * @param {number} worldSeed - World seed
+ * @returns {Object|null} { key, type, cx, cy } (null = no structure)
+ */
+export function rollStructureCandidate(gridX, gridY, worldSeed) {
+  const spacing = CONFIG.STRUCTURE_SPACING;
+  const gridRng = forkRandom(worldSeed, "structure-grid", gridX, gridY);
+
+  // Candidate chunk within the grid cell
+  const cx = gridX * spacing + Math.floor(gridRng() * spacing);
+  const cy = gridY * spacing + Math.floor(gridRng() * spacing);
+
+  const roll = gridRng();
+  let type = null;
+
+  if (roll < CONFIG.STRUCTURE_SPAWN_CHANCE_VILLAGE) {
+    type = "village";
+  } else if (roll < CONFIG.STRUCTURE_SPAWN_CHANCE_DUNGEON) {
+    type = "dungeon";
+  }
+
+  if (!type) return null;
+
+  return { key: getStructureKey(cx, cy), type, cx, cy };
+}
+
+/**
+ * Turn a candidate + template into a placement with a world bounding box
+ * @param {Object} candidate - { key, type, cx, cy }
+ * @param {string[]} template - Template rows
+ * @param {number} x - Template top-left world X
+ * @param {number} y - Template top-left world Y
+ * @param {Object} extra - Additional placement fields
+ * @returns {Object|null} Placement { ...candidate, x, y, template, bounds }
+ */
+export function createPlacement(candidate, template, x, y, extra = {}) {
+  const footprint = getTemplateFootprint(template);
+  if (!footprint) return null;
+
+  return {
+    ...candidate,
+    ...extra,
+    x,
+    y,
+    template,
+    bounds: createBoundingBox(
+      x + footprint.offsetX,
+      y + footprint.offsetY,
+      footprint.width,
+      footprint.height,
+    ),
   };
 }
 
@@ -130,15 +548,7 @@ export function getRandomizedTemplate(structureType, seed) {
 export function canPlaceStructure(structureType, biomeName, isWater) {
   if (isWater) return false;
 
-  if (structureType === "village") {
-    return biomeName === "grass" || biomeName === "forest" || biomeName === "grassland";
-  }
-
-  if (structureType === "dungeon") {
-    return biomeName !== "water";
-  }
-
-  return false;
+  return isBiomeValidForStructure(biomeName, structureType);
 }
 
 /**
@@ -164,3 +574,12 @@ export function getStructureCost(structureType) {
 export function getStructureKey(cx, cy) {
   return `${cx},${cy}`;
 }
+
+// Built-in pieces must be valid (templates are checked by templates.js)
+for (const piece of VILLAGE_PIECES) {
+  assertValidTemplate(piece.layout, {
+    name: piece.name,
+    anchors: piece.anchors,
+    connectors: piece.connectors,
+  });
+}
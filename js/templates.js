@@ -0,0 +1,341 @@
+// =============================
+// STRUCTURE TEMPLATE REGISTRY
+// Data-driven templates (built-in + JSON files)
+// =============================
+
+import { CONFIG } from "./config.js";
+import { deriveSeed, forkRandom } from "./seed.js";
+import { getBiome, classifyBiome, isBiomeValidForStructure } from "./biome.js";
+import { sampleTerrain } from "./terrain.js";
+import { SCATTER_OBJECTS } from "./scatter.js";
+import { TILE_LAYERS, OVERLAY_TYPES } from "./layers.js";
+import { DEFAULT_PLACEMENT_RULES } from "./placement.js";
+import {
+  STRUCTURE_TEMPLATES,
+  STRUCTURE_TYPES,
+  TEMPLATE_LEGEND,
+  validateTemplate,
+  getRandomizedTemplate,
+  createPlacement,
+} from "./structure.js";
+
+/**
+ * Template definition format (JSON files use the same shape):
+ * {
+ *   name: "crypt",                 // Registry key (replaces same name)
+ *   type: "dungeon",               // Spawn category (defaults to name)
+ *   layout: ["..#..", ".#~#."],    // ASCII footprint, "." = untouched
+ *   legend: {                      // Extra characters (merged over
+ *     "#": { structure: "dungeon" },  // TEMPLATE_LEGEND); each sets one or
+ *     "~": { ground: "water" },       // more of ground/overlay/object/
+ *   },                                // structure (null clears a layer)
+ *   weight: 1,                     // Relative chance within its type
+ *   biomes: ["mountain"],          // Allowed center biomes (omitted = any
+ *                                  // biome that allows the type)
+ *   rotations: [0, 1, 2, 3],       // Allowed 90° clockwise rotations
+ *   mirror: true,                  // Allow left/right mirroring
+ *   scales: [1, 2],                // Allowed scale factors
+ *   rules: { maxSlope: 0.2 },      // Placement rule overrides
+ *                                  // (see placement.js)
+ * }
+ *
+ * Villages are assembled from VILLAGE_PIECES (see village.js); registered
+ * templates are used by every other structure type.
+ */
+
+/**
+ * Registered templates by name
+ */
+export const STRUCTURE_REGISTRY = new Map();
+
+/**
+ * Layer value lookups for legend validation
+ */
+const LAYER_VALUES = {
+  ground: (value) => getBiome(value) !== null,
+  overlay: (value) => value in OVERLAY_TYPES,
+  object: (value) => value in SCATTER_OBJECTS,
+  structure: (value) => value in STRUCTURE_TYPES,
+};
+
+/**
+ * Check a legend for unknown layers or values
+ * @param {Object} legend - Character -> cell
+ * @param {string} name - Template name (for messages)
+ * @returns {string[]} Error messages
+ */
+function validateLegend(legend, name) {
+  const errors = [];
+
+  for (const [char, cell] of Object.entries(legend)) {
+    if (char.length !== 1) {
+      errors.push(`${name}: legend key "${char}" must be one character`);
+    }
+
+    if (cell === null) continue;
+
+    if (typeof cell !== "object" || Object.keys(cell).length === 0) {
+      errors.push(`${name}: legend "${char}" must set at least one layer`);
+      continue;
+    }
+
+    for (const [layer, value] of Object.entries(cell)) {
+      if (!TILE_LAYERS.includes(layer)) {
+        errors.push(`${name}: legend "${char}" has unknown layer "${layer}"`);
+      } else if (value !== null && !LAYER_VALUES[layer](value)) {
+        errors.push(
+          `${name}: legend "${char}" has unknown ${layer} "${value}"`,
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a template definition for problems
+ * @param {Object} definition - Template definition (see format above)
+ * @returns {string[]} Error messages (empty = valid)
+ */
+export function validateStructureDefinition(definition) {
+  if (!definition || typeof definition.name !== "string") {
+    return ["template definition needs a name"];
+  }
+
+  const name = definition.name;
+  const legend = { ...TEMPLATE_LEGEND, ...definition.legend };
+  const errors = [
+    ...validateLegend(definition.legend || {}, name),
+    ...validateTemplate(definition.layout, { name, legend }),
+  ];
+
+  const { weight, biomes, rotations, scales, rules } = definition;
+
+  if (weight !== undefined && !(weight >= 0)) {
+    errors.push(`${name}: weight must be a number >= 0`);
+  }
+
+  for (const biome of biomes || []) {
+    if (!getBiome(biome)) errors.push(`${name}: unknown biome "${biome}"`);
+  }
+
+  if (rotations !== undefined) {
+    if (!Array.isArray(rotations) || rotations.length === 0) {
+      errors.push(`${name}: rotations must be a non-empty array`);
+    } else if (!rotations.every((r) => [0, 1, 2, 3].includes(r))) {
+      errors.push(`${name}: rotations must be 0, 1, 2 or 3`);
+    }
+  }
+
+  if (scales !== undefined) {
+    if (!Array.isArray(scales) || scales.length === 0) {
+      errors.push(`${name}: scales must be a non-empty array`);
+    } else if (!scales.every((s) => Number.isInteger(s) && s >= 1)) {
+      errors.push(`${name}: scales must be whole numbers >= 1`);
+    }
+  }
+
+  for (const key of Object.keys(rules || {})) {
+    if (!(key in DEFAULT_PLACEMENT_RULES)) {
+      errors.push(`${name}: unknown placement rule "${key}"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Register (or replace) a structure template
+ * @param {Object} definition - Template definition (see format above)
+ * @returns {Object} Normalized template definition
+ */
+export function registerStructureTemplate(definition) {
+  const errors = validateStructureDefinition(definition);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid structure template:\n  ${errors.join("\n  ")}`);
+  }
+
+  const template = {
+    type: definition.name,
+    weight: 1,
+    biomes: null,
+    rotations: [0, 1, 2, 3],
+    mirror: true,
+    scales: [1, 2],
+    ...definition,
+    legend: { ...TEMPLATE_LEGEND, ...definition.legend },
+  };
+
+  STRUCTURE_REGISTRY.set(template.name, template);
+  return template;
+}
+
+/**
+ * Get registered templates of one structure type
+ * @param {string} type - Structure type
+ * @returns {Object[]} Templates (registration order)
+ */
+export function getStructureTemplates(type) {
+  return [...STRUCTURE_REGISTRY.values()].filter((t) => t.type === type);
+}
+
+/**
+ * Pick a template by weight among those allowed on a biome
+ * @param {string} type - Structure type
+ * @param {string} biome - Biome at the structure center
+ * @param {Function} rng - Seeded RNG
+ * @returns {Object|null} Template definition (null = none fits)
+ */
+export function pickStructureTemplate(type, biome, rng) {
+  const options = getStructureTemplates(type).filter(
+    (t) =>
+      t.weight > 0 &&
+      (t.biomes
+        ? t.biomes.some((b) => getBiome(b) === getBiome(biome))
+        : isBiomeValidForStructure(biome, type)),
+  );
+
+  const total = options.reduce((sum, t) => sum + t.weight, 0);
+  if (total <= 0) return null;
+
+  let roll = rng() * total;
+
+  for (const template of options) {
+    roll -= template.weight;
+    if (roll < 0) return template;
+  }
+
+  return options[options.length - 1];
+}
+
+/**
+ * Build a placement from a registered template of a candidate,
+ * centered in its candidate chunk
+ * @param {Object} candidate - { key, type, cx, cy }
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {Object|null} Placement (see createPlacement) with template
+ *   name, legend, rotation, scale, seed and entrance tile (if any)
+ */
+export function buildStructurePlacement(candidate, worldSeed, noiseFunctions) {
+  const { type, cx, cy } = candidate;
+  const size = CONFIG.CHUNK_SIZE;
+  const centerX = cx * size + Math.floor(size / 2);
+  const centerY = cy * size + Math.floor(size / 2);
+
+  const { elevation, temperature, humidity } = sampleTerrain(
+    centerX,
+    centerY,
+    noiseFunctions,
+  );
+  const biome = classifyBiome(elevation, temperature, humidity);
+  const definition = pickStructureTemplate(
+    type,
+    biome,
+    forkRandom(worldSeed, "structure-pick", cx, cy),
+  );
+  if (!definition) return null;
+
+  const templateSeed = deriveSeed(worldSeed, "structure-template", cx, cy);
+  const templateData = getRandomizedTemplate(type, templateSeed, definition);
+
+  const template = templateData.template;
+  const x = cx * size + Math.floor(size / 2 - template[0].length / 2);
+  const y = cy * size + Math.floor(size / 2 - template.length / 2);
+
+  // Dungeon interiors are entered here (see dungeon.js)
+  const entrance = findLegendCell(
+    template,
+    definition.legend,
+    "structure",
+    "dungeon_entrance",
+  );
+
+  return createPlacement(candidate, template, x, y, {
+    templateName: definition.name,
+    legend: definition.legend,
+    rules: definition.rules,
+    rotation: templateData.rotation,
+    scale: templateData.scale,
+    seed: deriveSeed(worldSeed, type, cx, cy),
+    entrance: entrance ? { x: x + entrance.x, y: y + entrance.y } : null,
+  });
+}
+
+/**
+ * First template cell whose legend sets a layer value
+ * @param {string[]} template - Template rows
+ * @param {Object} legend - Character -> cell
+ * @param {string} layer - Layer name
+ * @param {string} value - Layer value
+ * @returns {Object|null} { x, y } inside the template
+ */
+function findLegendCell(template, legend, layer, value) {
+  for (let y = 0; y < template.length; y++) {
+    for (let x = 0; x < template[y].length; x++) {
+      const cell = legend[template[y][x]];
+      if (cell && cell[layer] === value) return { x, y };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load template files listed in a manifest (a JSON array of file names
+ * relative to the manifest) into the registry. Bad files are reported and
+ * skipped so one broken template doesn't stop the world from loading.
+ * @param {string} manifestUrl - Manifest URL
+ * @returns {Promise<Object>} { loaded: names, errors: messages }
+ */
+export async function loadStructureTemplates(
+  manifestUrl = CONFIG.STRUCTURE_TEMPLATE_MANIFEST,
+) {
+  const loaded = [];
+  const errors = [];
+  let files;
+
+  try {
+    files = await fetchJson(manifestUrl);
+  } catch (error) {
+    return { loaded, errors: [`${manifestUrl}: ${error.message}`] };
+  }
+
+  for (const file of files) {
+    const url = new URL(file, new URL(manifestUrl, document.baseURI)).href;
+
+    try {
+      const definitions = [].concat(await fetchJson(url));
+
+      for (const definition of definitions) {
+        loaded.push(registerStructureTemplate(definition).name);
+      }
+    } catch (error) {
+      errors.push(`${file}: ${error.message}`);
+    }
+  }
+
+  return { loaded, errors };
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJson(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Built-in templates
+for (const [name, layout] of Object.entries(STRUCTURE_TEMPLATES)) {
+  registerStructureTemplate({ name, layout });
+}
@@ -0,0 +1,169 @@
+// =============================
+// TERRAIN SHAPING
+// Base noise + macro layers (continents, mountain ranges, latitude)
+// =============================
+
+import { CONFIG } from "./config.js";
+import { normalizeNoise, getMultiLayerNoise } from "./noise.js";
+
+/**
+ * Smooth 0-1 ramp between two edges
+ * @param {number} edge0 - Start of ramp
+ * @param {number} edge1 - End of ramp
+ * @param {number} x - Value
+ * @returns {number} 0-1
+ */
+function smoothstep(edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Sample continentalness (very low frequency: oceans vs continents)
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {number} Continentalness (0 = deep ocean, 1 = continent interior)
+ */
+export function sampleContinentalness(worldX, worldY, noiseFunctions) {
+  return normalizeNoise(
+    getMultiLayerNoise(
+      noiseFunctions.continent,
+      worldX,
+      worldY,
+      CONFIG.CONTINENT_SCALE,
+      CONFIG.NOISE_LAYERS.continent,
+    ),
+  );
+}
+
+/**
+ * Sample mountain-range ridges (ridged noise, high along chain crests)
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {number} Ridge strength (0-1)
+ */
+export function sampleRidge(worldX, worldY, noiseFunctions) {
+  return normalizeNoise(
+    getMultiLayerNoise(
+      noiseFunctions.ridge,
+      worldX,
+      worldY,
+      CONFIG.RIDGE_SCALE,
+      CONFIG.NOISE_LAYERS.ridge,
+    ),
+  );
+}
+
+/**
+ * Latitude temperature: 1 at the equator (y = 0), 0 at the poles,
+ * repeating every LATITUDE_PERIOD tiles so the world stays infinite
+ * @param {number} worldY - World Y coordinate
+ * @returns {number} Temperature (0-1)
+ */
+export function getLatitudeTemperature(worldY) {
+  return 0.5 + 0.5 * Math.cos((worldY / CONFIG.LATITUDE_PERIOD) * Math.PI * 2);
+}
+
+/**
+ * Combine base elevation with the macro layers
+ * @param {number} base - Base elevation (0-1)
+ * @param {number} continent - Continentalness (0-1)
+ * @param {number} ridge - Ridge strength (0-1)
+ * @returns {number} Shaped elevation (0-1)
+ */
+export function shapeElevation(base, continent, ridge) {
+  // Oceans where continentalness is low, raised land where it is high
+  let elevation = base + (continent - 0.5) * 2 * CONFIG.CONTINENT_INFLUENCE;
+
+  // Mountain chains only rise inland
+  const inland = smoothstep(
+    CONFIG.RIDGE_INLAND_MIN,
+    CONFIG.RIDGE_INLAND_MAX,
+    continent,
+  );
+  elevation += ridge * ridge * inland * CONFIG.RIDGE_INFLUENCE;
+
+  return Math.min(1, Math.max(0, elevation));
+}
+
+/**
+ * Sample base (detail) elevation, before macro shaping
+ * Domain-warped so coastlines and ridges bend naturally.
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {number} Elevation (0-1)
+ */
+export function sampleBaseElevation(worldX, worldY, noiseFunctions) {
+  const warp = normalizeNoise(
+    noiseFunctions.elevation(worldX * 0.01, worldY * 0.01),
+  );
+
+  return normalizeNoise(
+    getMultiLayerNoise(
+      noiseFunctions.elevation,
+      worldX + (warp * 8) / CONFIG.NOISE_SCALE,
+      worldY + (warp * 8) / CONFIG.NOISE_SCALE,
+      CONFIG.NOISE_SCALE,
+      CONFIG.NOISE_LAYERS.elevation,
+    ),
+  );
+}
+
+/**
+ * Sample shaped elevation at a world tile (pure function of position + noise)
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {number} Elevation (0-1)
+ */
+export function sampleElevation(worldX, worldY, noiseFunctions) {
+  return shapeElevation(
+    sampleBaseElevation(worldX, worldY, noiseFunctions),
+    sampleContinentalness(worldX, worldY, noiseFunctions),
+    sampleRidge(worldX, worldY, noiseFunctions),
+  );
+}
+
+/**
+ * Sample all climate layers at a world tile
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {Object} { elevation, temperature, humidity } (0-1 each)
+ */
+export function sampleTerrain(worldX, worldY, noiseFunctions) {
+  const layers = CONFIG.NOISE_LAYERS;
+
+  const elevation = sampleElevation(worldX, worldY, noiseFunctions);
+
+  let temperature = normalizeNoise(
+    getMultiLayerNoise(
+      noiseFunctions.temperature,
+      worldX,
+      worldY,
+      CONFIG.TEMP_SCALE,
+      layers.temperature,
+    ),
+  );
+
+  if (CONFIG.LATITUDE_ENABLED) {
+    temperature +=
+      (getLatitudeTemperature(worldY) - temperature) *
+      CONFIG.LATITUDE_INFLUENCE;
+  }
+
+  const humidity = normalizeNoise(
+    getMultiLayerNoise(
+      noiseFunctions.humidity,
+      worldX,
+      worldY,
+      CONFIG.HUMIDITY_SCALE,
+      layers.humidity,
+    ),
+  );
+
+  return { elevation, temperature, humidity };
+}
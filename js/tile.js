@@ -2,48 +2,224 @@
 // TILE STRUCTURE
 // =============================
 
+import { isTileSolid, isTileWalkable, getMovementCost } from "./layers.js";
+
+/**
+ * Maps string values (biome, object, ...) to small integer IDs so chunks
+ * can store them in typed arrays. ID 0 is always null.
+ */
+export class Palette {
+  /**
+   * @param {string} name - Palette name (for error messages)
+   * @param {number} maxSize - Largest ID + 1 the backing array can hold
+   */
+  constructor(name, maxSize = 256) {
+    this.name = name;
+    this.maxSize = maxSize;
+    this.names = [null];
+    this.ids = new Map();
+  }
+
+  /**
+   * Get (or assign) the ID for a value
+   * @param {string|null} value - Value
+   * @returns {number} ID
+   */
+  getId(value) {
+    if (value === null || value === undefined) return 0;
+
+    let id = this.ids.get(value);
+
+    if (id === undefined) {
+      id = this.names.length;
+
+      if (id >= this.maxSize) {
+        throw new Error(
+          `Palette "${this.name}" is full (${this.maxSize} entries)`,
+        );
+      }
+
+      this.names.push(value);
+      this.ids.set(value, id);
+    }
+
+    return id;
+  }
+
+  /**
+   * Get the value for an ID
+   * @param {number} id - ID
+   * @returns {string|null} Value
+   */
+  getName(id) {
+    return this.names[id] ?? null;
+  }
+}
+
 /**
- * Represents a single 2D tile in the world
+ * Shared palettes (IDs are stable for the lifetime of the page)
+ */
+export const BIOME_PALETTE = new Palette("biome");
+export const OBJECT_PALETTE = new Palette("object");
+export const STRUCTURE_PALETTE = new Palette("structure");
+export const OVERLAY_PALETTE = new Palette("overlay");
+
+/**
+ * Lightweight view of one tile inside a ChunkData.
+ * Holds no tile state itself: every property reads/writes the chunk's
+ * typed arrays, so views are cheap and can be re-pointed with moveTo().
  */
 export class Tile {
   /**
-   * @param {number} x - World X coordinate
-   * @param {number} y - World Y coordinate
+   * @param {ChunkData} chunk - Chunk storage
+   * @param {number} localX - X inside the chunk
+   * @param {number} localY - Y inside the chunk
    */
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
+  constructor(chunk, localX = 0, localY = 0) {
+    this.chunk = chunk;
+    this.moveTo(localX, localY);
+  }
 
-    // Elevation from noise (0.0 = water, 1.0 = mountain)
-    this.elevation = 0.5;
+  /**
+   * Point this view at another tile of the same chunk
+   * @param {number} localX - X inside the chunk
+   * @param {number} localY - Y inside the chunk
+   * @returns {Tile} This view
+   */
+  moveTo(localX, localY) {
+    this.localX = localX;
+    this.localY = localY;
+    this.index = localX * this.chunk.size + localY;
+    return this;
+  }
 
-    // Biome type (water, grassland, forest, mountain, etc)
-    this.biome = "grass";
+  // World coordinates
+  get x() {
+    return this.chunk.originX + this.localX;
+  }
 
-    // Environmental factors
-    this.temperature = 0.5;
-    this.humidity = 0.5;
+  get y() {
+    return this.chunk.originY + this.localY;
+  }
+
+  // Elevation from noise (0.0 = water, 1.0 = mountain)
+  get elevation() {
+    return this.chunk.elevation[this.index];
+  }
+
+  set elevation(value) {
+    this.chunk.elevation[this.index] = value;
+  }
+
+  // Environmental factors (stored as 0-255)
+  get temperature() {
+    return this.chunk.temperature[this.index] / 255;
+  }
 
-    // Features
-    this.structure = null; // village, dungeon, etc
-    this.object = null; // tree, rock, decoration
-    this.roadType = null; // road identifier
+  set temperature(value) {
+    this.chunk.temperature[this.index] = Math.round(value * 255);
+  }
+
+  get humidity() {
+    return this.chunk.humidity[this.index] / 255;
+  }
+
+  set humidity(value) {
+    this.chunk.humidity[this.index] = Math.round(value * 255);
+  }
+
+  // Ground layer: biome type (water, grassland, forest, mountain, etc)
+  get biome() {
+    return BIOME_PALETTE.getName(this.chunk.biome[this.index]);
+  }
+
+  set biome(value) {
+    this.chunk.biome[this.index] = BIOME_PALETTE.getId(value);
+  }
+
+  get ground() {
+    return this.biome;
+  }
+
+  set ground(value) {
+    this.biome = value;
+  }
+
+  // Strongest neighbouring biome and its share (0-0.5) near borders
+  get secondaryBiome() {
+    return BIOME_PALETTE.getName(this.chunk.secondaryBiome[this.index]);
+  }
+
+  set secondaryBiome(value) {
+    this.chunk.secondaryBiome[this.index] = BIOME_PALETTE.getId(value);
+  }
+
+  get biomeBlend() {
+    return this.chunk.biomeBlend[this.index] / 255;
+  }
+
+  set biomeBlend(value) {
+    this.chunk.biomeBlend[this.index] = Math.round(value * 255);
+  }
+
+  // Overlay layer (road, path, river)
+  get overlay() {
+    return OVERLAY_PALETTE.getName(this.chunk.overlay[this.index]);
+  }
+
+  set overlay(value) {
+    this.chunk.overlay[this.index] = OVERLAY_PALETTE.getId(value);
+  }
+
+  // Structure layer (village, dungeon)
+  get structure() {
+    return STRUCTURE_PALETTE.getName(this.chunk.structure[this.index]);
+  }
+
+  set structure(value) {
+    this.chunk.structure[this.index] = STRUCTURE_PALETTE.getId(value);
+  }
+
+  // Object layer (tree, rock, decoration)
+  get object() {
+    return OBJECT_PALETTE.getName(this.chunk.object[this.index]);
+  }
+
+  set object(value) {
+    this.chunk.object[this.index] = OBJECT_PALETTE.getId(value);
+  }
+
+  // Upstream river sources (0 = no river)
+  get riverFlow() {
+    return this.chunk.riverFlow[this.index];
+  }
+
+  set riverFlow(value) {
+    this.chunk.riverFlow[this.index] = value;
   }
 
   /**
-   * Check if tile is solid (has structure or object)
+   * Check if any layer of the tile is solid
    * @returns {boolean}
    */
   isSolid() {
-    return this.structure !== null || this.object !== null;
+    return isTileSolid(this);
   }
 
   /**
-   * Check if tile is walkable
+   * Check if tile is walkable (ground/overlay surface, objects, structures)
    * @returns {boolean}
    */
   isWalkable() {
-    return this.biome !== "water" && this.structure === null;
+    return isTileWalkable(this);
+  }
+
+  /**
+   * Movement cost across all layers
+   * @returns {number} Cost multiplier (Infinity = impassable)
+   */
+  getMovementCost() {
+    return getMovementCost(this);
   }
 
   /**
@@ -52,10 +228,13 @@ export class Tile {
   reset() {
     this.elevation = 0.5;
     this.biome = "grass";
+    this.secondaryBiome = null;
+    this.biomeBlend = 0;
     this.temperature = 0.5;
     this.humidity = 0.5;
     this.structure = null;
     this.object = null;
-    this.roadType = null;
+    this.overlay = null;
+    this.riverFlow = 0;
   }
 }
@@ -0,0 +1,50 @@
+// =============================
+// SHAREABLE URL STATE
+// =============================
+
+/**
+ * World state stored in the URL hash:
+ *   #seed=mossy-coast&x=120.5&y=-40.25&zoom=1.5
+ *
+ * x / y are the tile coordinates at the center of the viewport.
+ */
+
+/**
+ * Parse world state from a URL hash
+ * @param {string} hash - location.hash (with or without leading "#")
+ * @returns {Object} { seed, x, y, zoom } - missing/invalid fields are null
+ */
+export function parseWorldHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+
+  const readNumber = (name) => {
+    if (!params.has(name)) return null;
+    const value = parseFloat(params.get(name));
+    return Number.isFinite(value) ? value : null;
+  };
+
+  const seed = params.get("seed");
+
+  return {
+    seed: seed !== null && seed.trim() !== "" ? seed : null,
+    x: readNumber("x"),
+    y: readNumber("y"),
+    zoom: readNumber("zoom"),
+  };
+}
+
+/**
+ * Format world state as a URL hash
+ * @param {Object} state - { seed, x, y, zoom }
+ * @returns {string} Hash string including leading "#"
+ */
+export function formatWorldHash(state) {
+  const params = new URLSearchParams();
+
+  params.set("seed", String(state.seed));
+  params.set("x", state.x.toFixed(1));
+  params.set("y", state.y.toFixed(1));
+  params.set("zoom", state.zoom.toFixed(2));
+
+  return `#${params.toString()}`;
+}
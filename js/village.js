@@ -0,0 +1,596 @@
+// =============================
+// VILLAGE ASSEMBLER
+// Villages from VILLAGE_PIECES around their road graph
+// =============================
+
+import { CONFIG } from "./config.js";
+import { deriveSeed, forkRandom } from "./seed.js";
+import { classifyBiome, isBiomeValidForStructure } from "./biome.js";
+import { sampleTerrain } from "./terrain.js";
+import {
+  generateVillageRoadGraph,
+  rasterizeroads,
+  drawLineOnGrid,
+} from "./road.js";
+import { createBoundingBox } from "./bounds.js";
+import {
+  VILLAGE_PIECES,
+  DIRECTIONS,
+  transformPiece,
+  transformPoint,
+  alignToAnchor,
+  createPlacement,
+} from "./structure.js";
+
+/**
+ * Assembly:
+ * 1. A center piece (plaza or well, picked by `center` weight) is centered
+ *    on the village center (its "pivot" anchor).
+ * 2. Landmarks (picked by `landmark` weight) go at the ends of dead-end
+ *    roads, up to VILLAGE_MAX_LANDMARKS.
+ * 3. Houses line the road graph: every VILLAGE_HOUSE_SPACING tiles of an
+ *    edge, one on each side just past the road's width, closest to the
+ *    center first. Buildings are rotated/mirrored so their door anchor
+ *    faces the road.
+ * 4. Open connectors left over are processed breadth-first; each one tries
+ *    a few weighted pieces, rotated/mirrored so one of their connectors
+ *    faces back at it, placed on the neighbouring tile.
+ * 5. A piece fits when its cells are free, inside VILLAGE_MAX_RADIUS, on
+ *    land that allows villages, and either (streets) touching other roads
+ *    only where they connect or (buildings) off the village road graph and
+ *    not touching other buildings.
+ * The road graph itself is drawn by the chunks it crosses (see
+ * getVillageRoadTiles), around the village center of the final placement.
+ * Everything is drawn from the village seed and sampled terrain, so the
+ * same village is produced whichever chunk asks for it.
+ */
+
+/**
+ * Tile offset one step in each direction
+ */
+const DIRECTION_OFFSETS = {
+  N: [0, -1],
+  E: [1, 0],
+  S: [0, 1],
+  W: [-1, 0],
+};
+
+/**
+ * Opposite direction
+ * @param {string} dir - N/E/S/W
+ * @returns {string} Opposite direction
+ */
+function oppositeDirection(dir) {
+  return DIRECTIONS[(DIRECTIONS.indexOf(dir) + 2) % 4];
+}
+
+/**
+ * Check whether a piece is made only of road cells
+ * @param {Object} piece - Piece
+ * @returns {boolean} Is road piece
+ */
+function isRoadPiece(piece) {
+  return piece.layout.every((row) => /^[R.]*$/.test(row));
+}
+
+/**
+ * Pick a piece by weight
+ * @param {Object[]} pieces - Candidate pieces
+ * @param {Function} rng - Seeded RNG
+ * @param {string} field - Weight field (weight, center, landmark)
+ * @returns {Object|null} Piece
+ */
+function pickWeightedPiece(pieces, rng, field = "weight") {
+  const total = pieces.reduce((sum, piece) => sum + (piece[field] || 0), 0);
+  if (total <= 0) return null;
+
+  let roll = rng() * total;
+
+  for (const piece of pieces) {
+    roll -= piece[field] || 0;
+    if (roll < 0) return piece;
+  }
+
+  return pieces[pieces.length - 1];
+}
+
+/**
+ * Direction a step mostly points to
+ * @param {number} dx - Step X
+ * @param {number} dy - Step Y
+ * @returns {string} N/E/S/W
+ */
+function getMainDirection(dx, dy) {
+  if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? "E" : "W";
+  return dy >= 0 ? "S" : "N";
+}
+
+// =============================
+// BUILDING SLOTS
+// =============================
+
+/**
+ * First tile past the road going from a road tile towards one side
+ * (diagonal streets are wider than their width across)
+ * @param {Map<string, string>} roadCells - Road tiles (see getRoadGraphCells)
+ * @param {number} x - Road tile X
+ * @param {number} y - Road tile Y
+ * @param {string} side - N/E/S/W
+ * @returns {number[]} [x, y]
+ */
+function stepOffRoad(roadCells, x, y, side) {
+  const [dx, dy] = DIRECTION_OFFSETS[side];
+
+  do {
+    x += dx;
+    y += dy;
+  } while (roadCells.has(`${x},${y}`));
+
+  return [x, y];
+}
+
+/**
+ * House slots along the road graph: every VILLAGE_HOUSE_SPACING tiles of
+ * an edge, one on each side, on the first tile past the road
+ * @param {RoadGraph} graph - Village road graph
+ * @param {Map<string, string>} roadCells - Road tiles (see getRoadGraphCells)
+ * @returns {Object[]} Slots { x, y, facing } (x/y = door tile, facing =
+ *   side the door faces), closest to the center first
+ */
+function getRoadsideSlots(graph, roadCells) {
+  const spacing = CONFIG.VILLAGE_HOUSE_SPACING;
+  const margin = Math.floor(spacing / 2); // Keep off the junctions
+  const slots = [];
+
+  for (const edge of graph.getEdges()) {
+    const along = getMainDirection(
+      edge.to.x - edge.from.x,
+      edge.to.y - edge.from.y,
+    );
+    const sides = along === "E" || along === "W" ? ["N", "S"] : ["E", "W"];
+    const line = [];
+
+    drawLineOnGrid(
+      (x, y) => line.push([x, y]),
+      edge.from.x,
+      edge.from.y,
+      edge.to.x,
+      edge.to.y,
+    );
+
+    for (let i = margin; i < line.length - margin; i += spacing) {
+      const [x, y] = line[i];
+
+      for (const side of sides) {
+        const [doorX, doorY] = stepOffRoad(roadCells, x, y, side);
+        slots.push({ x: doorX, y: doorY, facing: oppositeDirection(side) });
+      }
+    }
+  }
+
+  const distance = (slot) =>
+    Math.hypot(slot.x - graph.centerX, slot.y - graph.centerY);
+
+  return slots.sort((a, b) => distance(a) - distance(b));
+}
+
+/**
+ * Landmark slots at the ends of dead-end roads (leaf nodes other than the
+ * center), just past the road's end and facing back along it
+ * @param {RoadGraph} graph - Village road graph
+ * @param {Map<string, string>} roadCells - Road tiles (see getRoadGraphCells)
+ * @returns {Object[]} Slots { x, y, facing }, furthest from the center
+ *   first
+ */
+function getRoadEndSlots(graph, roadCells) {
+  const center = graph.getNodes()[0];
+  const degree = new Map();
+
+  for (const edge of graph.getEdges()) {
+    degree.set(edge.from, (degree.get(edge.from) || 0) + 1);
+    degree.set(edge.to, (degree.get(edge.to) || 0) + 1);
+  }
+
+  const slots = [];
+
+  for (const edge of graph.getEdges()) {
+    for (const [end, other] of [
+      [edge.to, edge.from],
+      [edge.from, edge.to],
+    ]) {
+      if (end === center || degree.get(end) !== 1) continue;
+
+      const side = getMainDirection(end.x - other.x, end.y - other.y);
+      const [doorX, doorY] = stepOffRoad(roadCells, end.x, end.y, side);
+
+      slots.push({ x: doorX, y: doorY, facing: oppositeDirection(side) });
+    }
+  }
+
+  const distance = (slot) =>
+    Math.hypot(slot.x - graph.centerX, slot.y - graph.centerY);
+
+  return slots.sort((a, b) => distance(b) - distance(a));
+}
+
+/**
+ * Road tiles by village placement (built on first use)
+ */
+const roadTileCache = new WeakMap();
+
+/**
+ * Tiles covered by a village road graph, cut off at VILLAGE_MAX_RADIUS
+ * around its center (edge widths and overlays come from their tags, see
+ * road.js)
+ * @param {RoadGraph} graph - Village road graph
+ * @returns {Map<string, string>} "x,y" key (world tile) -> overlay
+ */
+function getRoadGraphCells(graph) {
+  const { centerX, centerY } = graph;
+  const radius = CONFIG.VILLAGE_MAX_RADIUS;
+  const cells = new Map();
+
+  rasterizeroads((x, y, overlay) => {
+    if (Math.max(Math.abs(x - centerX), Math.abs(y - centerY)) <= radius) {
+      cells.set(`${x},${y}`, overlay);
+    }
+  }, graph);
+
+  return cells;
+}
+
+/**
+ * Area a village's roads can reach (the graph is cut off at
+ * VILLAGE_MAX_RADIUS around the center)
+ * @param {Object} placement - Village placement ({ centerX, centerY })
+ * @returns {Object} Box
+ */
+export function getVillageRoadBounds(placement) {
+  const reach = CONFIG.VILLAGE_MAX_RADIUS;
+
+  return createBoundingBox(
+    placement.centerX - reach,
+    placement.centerY - reach,
+    reach * 2 + 1,
+    reach * 2 + 1,
+  );
+}
+
+/**
+ * Road tiles of a village placement in world coordinates. The graph is
+ * rebuilt from the village seed around the placement's center, so it
+ * follows the village when the collision solver nudges it and every chunk
+ * draws the same roads.
+ * @param {Object} placement - Village placement ({ centerX, centerY, seed })
+ * @returns {Map<string, string>} "x,y" key -> overlay (road or path)
+ */
+export function getVillageRoadTiles(placement) {
+  if (!roadTileCache.has(placement)) {
+    const graph = generateVillageRoadGraph(
+      placement.centerX,
+      placement.centerY,
+      placement.seed,
+    );
+    roadTileCache.set(placement, getRoadGraphCells(graph));
+  }
+
+  return roadTileCache.get(placement);
+}
+
+/**
+ * Assemble a village around a center tile
+ * @param {number} centerX - Village center world X
+ * @param {number} centerY - Village center world Y
+ * @param {number} seed - Village seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {Object|null} { x, y, template, pieces } (null = no room for the
+ *   center piece or fewer than VILLAGE_MIN_PIECES pieces fit); x/y =
+ *   template top-left, pieces = [{ name, x, y, layout, anchors,
+ *   connectors }] in world tiles
+ */
+export function assembleVillage(centerX, centerY, seed, noiseFunctions) {
+  const rng = forkRandom(seed, "village-pieces");
+  const radius = CONFIG.VILLAGE_MAX_RADIUS;
+  const targetPieces =
+    CONFIG.VILLAGE_MIN_PIECES +
+    Math.floor(
+      rng() * (CONFIG.VILLAGE_MAX_PIECES - CONFIG.VILLAGE_MIN_PIECES + 1),
+    );
+
+  const graph = generateVillageRoadGraph(centerX, centerY, seed);
+  const roadCells = getRoadGraphCells(graph);
+  const occupied = new Map(); // "x,y" -> { piece index, building }
+  const landCache = new Map();
+  const pieces = [];
+  const counts = {};
+  const open = []; // Connectors waiting for a piece (breadth-first)
+
+  // Land that allows villages (memoized per tile)
+  const isBuildable = (x, y) => {
+    const key = `${x},${y}`;
+
+    if (!landCache.has(key)) {
+      const { elevation, temperature, humidity } = sampleTerrain(
+        x,
+        y,
+        noiseFunctions,
+      );
+      const biome = classifyBiome(elevation, temperature, humidity);
+      landCache.set(key, isBiomeValidForStructure(biome, "village"));
+    }
+
+    return landCache.get(key);
+  };
+
+  const fits = (piece, px, py, attachX = null, attachY = null) => {
+    const building = !isRoadPiece(piece);
+
+    for (let ty = 0; ty < piece.layout.length; ty++) {
+      for (let tx = 0; tx < piece.layout[ty].length; tx++) {
+        if (piece.layout[ty][tx] === ".") continue;
+
+        const x = px + tx;
+        const y = py + ty;
+        const key = `${x},${y}`;
+
+        if (occupied.has(key)) return false;
+        if (Math.max(Math.abs(x - centerX), Math.abs(y - centerY)) > radius) {
+          return false;
+        }
+        if (!isBuildable(x, y)) return false;
+
+        if (!building) {
+          // Streets only touch other roads where they connect
+          if (x === attachX && y === attachY) continue;
+
+          for (const [dx, dy] of Object.values(DIRECTION_OFFSETS)) {
+            const neighbor = occupied.get(`${x + dx},${y + dy}`);
+            if (neighbor && !neighbor.building) return false;
+          }
+          continue;
+        }
+
+        // Only the center piece may stand on the crossroads (a well)
+        if (roadCells.has(key) && (x !== centerX || y !== centerY)) {
+          return false;
+        }
+
+        // Keep a gap between separate buildings
+        for (const [dx, dy] of Object.values(DIRECTION_OFFSETS)) {
+          const neighbor = occupied.get(`${x + dx},${y + dy}`);
+          if (neighbor && neighbor.building) return false;
+        }
+      }
+    }
+
+    return true;
+  };
+
+  const place = (piece, px, py, depth, usedConnector) => {
+    const index = pieces.length;
+    const building = !isRoadPiece(piece);
+
+    for (let ty = 0; ty < piece.layout.length; ty++) {
+      for (let tx = 0; tx < piece.layout[ty].length; tx++) {
+        if (piece.layout[ty][tx] !== ".") {
+          occupied.set(`${px + tx},${py + ty}`, { index, building });
+        }
+      }
+    }
+
+    const toWorld = (p) => ({ ...p, x: px + p.x, y: py + p.y });
+    const anchors = {};
+    for (const [key, point] of Object.entries(piece.anchors)) {
+      anchors[key] = toWorld(point);
+    }
+
+    const connectors = piece.connectors.map(toWorld);
+
+    pieces.push({
+      name: piece.name,
+      x: px,
+      y: py,
+      layout: piece.layout,
+      anchors,
+      connectors,
+    });
+    counts[piece.name] = (counts[piece.name] || 0) + 1;
+
+    connectors.forEach((connector, i) => {
+      if (i !== usedConnector) open.push({ ...connector, depth });
+    });
+  };
+
+  const isAvailable = (piece) =>
+    piece.max === undefined || (counts[piece.name] || 0) < piece.max;
+
+  // Place a building with its door on a slot, facing the slot's road
+  const placeFacing = (defs, field, slot) => {
+    for (let attempt = 0; attempt < CONFIG.VILLAGE_PIECE_ATTEMPTS; attempt++) {
+      const def = pickWeightedPiece(defs, rng, field);
+      if (!def) return false;
+
+      const mirrorX = rng() < 0.5;
+      const door = transformPoint(
+        def.anchors.door,
+        def.layout[0].length,
+        def.layout.length,
+        { mirrorX },
+      );
+      const rotation =
+        (DIRECTIONS.indexOf(slot.facing) - DIRECTIONS.indexOf(door.dir) + 4) %
+        4;
+
+      const piece = transformPiece(def, { rotation, mirrorX });
+      const pos = alignToAnchor(piece, "door", slot.x, slot.y);
+
+      if (fits(piece, pos.x, pos.y)) {
+        const used = piece.connectors.findIndex(
+          (c) => c.x === piece.anchors.door.x && c.y === piece.anchors.door.y,
+        );
+        place(piece, pos.x, pos.y, 1, used);
+        return true;
+      }
+    }
+
+    return false;
+  };
+
+  // =============================
+  // CENTER PIECE
+  // =============================
+
+  const centerDef = pickWeightedPiece(
+    VILLAGE_PIECES.filter((p) => p.center > 0),
+    rng,
+    "center",
+  );
+  const centerPiece = transformPiece(centerDef);
+  const centerPos = alignToAnchor(centerPiece, "pivot", centerX, centerY);
+
+  if (!fits(centerPiece, centerPos.x, centerPos.y)) return null;
+  place(centerPiece, centerPos.x, centerPos.y, 0, -1);
+
+  // =============================
+  // LANDMARKS AT ROAD ENDS
+  // =============================
+
+  let landmarks = 0;
+
+  for (const slot of getRoadEndSlots(graph, roadCells)) {
+    if (landmarks >= CONFIG.VILLAGE_MAX_LANDMARKS) break;
+    if (pieces.length >= targetPieces) break;
+
+    const defs = VILLAGE_PIECES.filter((p) => p.landmark > 0 && isAvailable(p));
+    if (placeFacing(defs, "landmark", slot)) landmarks++;
+  }
+
+  // =============================
+  // HOUSES ALONG THE ROADS
+  // =============================
+
+  const houses = VILLAGE_PIECES.filter(
+    (p) => p.weight > 0 && p.anchors && p.anchors.door,
+  );
+
+  for (const slot of getRoadsideSlots(graph, roadCells)) {
+    if (pieces.length >= targetPieces) break;
+
+    placeFacing(houses.filter(isAvailable), "weight", slot);
+  }
+
+  // =============================
+  // ATTACH PIECES TO OPEN CONNECTORS
+  // =============================
+
+  while (open.length > 0 && pieces.length < targetPieces) {
+    const connector = open.shift();
+    const [dx, dy] = DIRECTION_OFFSETS[connector.dir];
+    const facing = oppositeDirection(connector.dir);
+
+    const available = VILLAGE_PIECES.filter(
+      (p) =>
+        p.weight > 0 &&
+        isAvailable(p) &&
+        (p.name !== "street" ||
+          connector.depth < CONFIG.VILLAGE_MAX_STREET_DEPTH),
+    );
+
+    for (let attempt = 0; attempt < CONFIG.VILLAGE_PIECE_ATTEMPTS; attempt++) {
+      const def = pickWeightedPiece(available, rng);
+      if (!def) break;
+
+      // Rotate so the chosen connector faces back at the open one
+      const connectorIndex = Math.floor(rng() * def.connectors.length);
+      const mirrorX = rng() < 0.5;
+
+      const width = def.layout[0].length;
+      const height = def.layout.length;
+      const mirrored = transformPoint(
+        def.connectors[connectorIndex],
+        width,
+        height,
+        { mirrorX },
+      );
+      const rotation =
+        (DIRECTIONS.indexOf(facing) - DIRECTIONS.indexOf(mirrored.dir) + 4) % 4;
+
+      const piece = transformPiece(def, { rotation, mirrorX });
+      const attach = piece.connectors[connectorIndex];
+      const px = connector.x + dx - attach.x;
+      const py = connector.y + dy - attach.y;
+
+      if (fits(piece, px, py, px + attach.x, py + attach.y)) {
+        place(piece, px, py, connector.depth + 1, connectorIndex);
+        break;
+      }
+    }
+  }
+
+  // Too little room for a village (the candidate is rejected)
+  if (pieces.length < CONFIG.VILLAGE_MIN_PIECES) return null;
+
+  // =============================
+  // COMBINE INTO ONE TEMPLATE
+  // =============================
+
+  let minX = Infinity,
+    minY = Infinity,
+    maxX = -Infinity,
+    maxY = -Infinity;
+
+  for (const piece of pieces) {
+    minX = Math.min(minX, piece.x);
+    minY = Math.min(minY, piece.y);
+    maxX = Math.max(maxX, piece.x + piece.layout[0].length - 1);
+    maxY = Math.max(maxY, piece.y + piece.layout.length - 1);
+  }
+
+  const grid = [];
+  for (let y = minY; y <= maxY; y++) {
+    grid.push(new Array(maxX - minX + 1).fill("."));
+  }
+
+  for (const piece of pieces) {
+    piece.layout.forEach((row, ty) => {
+      for (let tx = 0; tx < row.length; tx++) {
+        if (row[tx] !== ".") {
+          grid[piece.y + ty - minY][piece.x + tx - minX] = row[tx];
+        }
+      }
+    });
+  }
+
+  return {
+    x: minX,
+    y: minY,
+    template: grid.map((row) => row.join("")),
+    pieces,
+  };
+}
+
+/**
+ * Build a village placement for a structure candidate.
+ * The village is centered in its candidate chunk.
+ * @param {Object} candidate - { key, type, cx, cy }
+ * @param {number} worldSeed - World seed
+ * @param {Object} noiseFunctions - Noise layers
+ * @returns {Object|null} Placement (see createPlacement) with pieces, seed
+ *   and center
+ */
+export function buildVillagePlacement(candidate, worldSeed, noiseFunctions) {
+  const size = CONFIG.CHUNK_SIZE;
+  const centerX = candidate.cx * size + Math.floor(size / 2);
+  const centerY = candidate.cy * size + Math.floor(size / 2);
+  const seed = deriveSeed(worldSeed, "village", candidate.cx, candidate.cy);
+
+  const village = assembleVillage(centerX, centerY, seed, noiseFunctions);
+  if (!village) return null;
+
+  return createPlacement(candidate, village.template, village.x, village.y, {
+    seed,
+    centerX,
+    centerY,
+    pieces: village.pieces,
+  });
+}
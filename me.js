@@ -1,3 +0,0 @@
-import { createNoise2D } from "https://cdn.jsdelivr.net/npm/simplex-noise@4.0.1/dist/esm/simplex-noise.js";
-
-window.createNoise2D = createNoise2D();
\ No newline at end of file
@@ -0,0 +1,146 @@
+// =============================
+// CHUNK MEMORY MEASUREMENT
+// Typed-array chunks vs the old Tile[][] objects
+// =============================
+
+// Usage: node --expose-gc tools/measure-chunk-memory.mjs [chunksPerSide]
+//
+// Generates a square of chunks, then copies their tiles into both layouts
+// and measures the heap each copy adds. Only the copies are measured, so
+// generation caches (registry, rivers, erosion) don't skew the numbers.
+
+import { CONFIG } from "../js/config.js";
+import { createSeededNoise } from "../js/noise.js";
+import { ChunkCache } from "../js/chunk.js";
+import { ChunkData } from "../js/chunkdata.js";
+
+const SEED = 12345;
+const NOISE_LAYERS = [
+  "elevation",
+  "temperature",
+  "humidity",
+  "scatter",
+  "river",
+  "continent",
+  "ridge",
+];
+
+/**
+ * One tile as a plain object, laid out like the Tile class before chunks
+ * moved to typed arrays
+ */
+class ObjectTile {
+  /**
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   * @param {Tile} view - Tile view to copy
+   */
+  constructor(x, y, view) {
+    this.x = x;
+    this.y = y;
+    this.elevation = view.elevation;
+    this.biome = view.biome;
+    this.secondaryBiome = view.secondaryBiome;
+    this.biomeBlend = view.biomeBlend;
+    this.temperature = view.temperature;
+    this.humidity = view.humidity;
+    this.structure = view.structure;
+    this.object = view.object;
+    this.overlay = view.overlay;
+    this.riverFlow = view.riverFlow;
+  }
+}
+
+/**
+ * Heap + array buffer bytes after a full collection
+ * @returns {number} Bytes
+ */
+function measureHeap() {
+  global.gc();
+  global.gc();
+  const usage = process.memoryUsage();
+  return usage.heapUsed + usage.arrayBuffers;
+}
+
+/**
+ * Copy a chunk into a Tile[][] grid of objects
+ * @param {ChunkData} chunk - Chunk
+ * @returns {ObjectTile[][]} Tiles indexed [x][y]
+ */
+function toObjectTiles(chunk) {
+  const view = chunk.getTile(0, 0);
+  const tiles = [];
+
+  for (let x = 0; x < chunk.size; x++) {
+    tiles[x] = [];
+    for (let y = 0; y < chunk.size; y++) {
+      chunk.getTile(x, y, view);
+      tiles[x][y] = new ObjectTile(chunk.originX + x, chunk.originY + y, view);
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Copy a chunk into fresh typed arrays
+ * @param {ChunkData} chunk - Chunk
+ * @returns {ChunkData} Copy
+ */
+function toTypedChunk(chunk) {
+  const copy = new ChunkData(chunk.cx, chunk.cy, chunk.size);
+
+  for (const field of Object.keys(copy)) {
+    if (ArrayBuffer.isView(copy[field])) copy[field].set(chunk[field]);
+  }
+
+  return copy;
+}
+
+/**
+ * Heap bytes held by converting every chunk (measured as what is freed
+ * when the copies are dropped, which doesn't depend on earlier runs)
+ * @param {ChunkData[]} chunks - Chunks
+ * @param {Function} convert - Chunk => copy
+ * @returns {number} Bytes
+ */
+function measureCopies(chunks, convert) {
+  let copies = chunks.map(convert);
+  const withCopies = measureHeap();
+
+  copies = null;
+  return withCopies - measureHeap();
+}
+
+if (typeof global.gc !== "function") {
+  console.error("Run with: node --expose-gc tools/measure-chunk-memory.mjs");
+  process.exit(1);
+}
+
+const side = Number(process.argv[2]) || 14;
+const noiseFunctions = {};
+for (const layer of NOISE_LAYERS) {
+  noiseFunctions[layer] = createSeededNoise(SEED, layer);
+}
+
+const cache = new ChunkCache();
+const chunks = [];
+for (let cx = 0; cx < side; cx++) {
+  for (let cy = 0; cy < side; cy++) {
+    chunks.push(cache.getChunk(cx, cy, SEED, noiseFunctions));
+  }
+}
+
+const objectBytes = measureCopies(chunks, toObjectTiles);
+const typedBytes = measureCopies(chunks, toTypedChunk);
+const kb = (bytes) => (bytes / chunks.length / 1024).toFixed(1);
+
+console.log(
+  `${chunks.length} chunks (${CONFIG.CHUNK_SIZE}x${CONFIG.CHUNK_SIZE} tiles)`,
+);
+console.log(`Tile[][] objects: ${kb(objectBytes)} KB per chunk`);
+console.log(
+  `Typed arrays:     ${kb(typedBytes)} KB per chunk ` +
+    `(getByteSize ${kb(chunks[0].getByteSize() * chunks.length)} KB)`,
+);
+console.log(`Ratio: ${(objectBytes / typedBytes).toFixed(1)}x`);